@@ -0,0 +1,58 @@
+// Covalent Builder camera math: converting between screen and world
+// points, and the zoom and pinch updates that keep a point fixed under
+// the cursor or fingers. A view is { x, y, scale }: screen = world *
+// scale + offset. No DOM access; the page reads it from
+// `window.CovalentCamera`.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CovalentCamera = api;
+})(this, function () {
+  const MIN_ZOOM = 0.25;
+  const MAX_ZOOM = 3;
+
+  function clampZoom(scale) {
+    return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+  }
+
+  function toWorld(view, x, y) {
+    return { x: (x - view.x) / view.scale, y: (y - view.y) / view.scale };
+  }
+
+  // Set the zoom, moving the view so the world point under (sx, sy)
+  // stays there.
+  function zoomViewAt(view, sx, sy, scale) {
+    const anchor = toWorld(view, sx, sy);
+    view.scale = clampZoom(scale);
+    view.x = sx - anchor.x * view.scale;
+    view.y = sy - anchor.y * view.scale;
+  }
+
+  // The world point under the fingers' midpoint stays under it, so the
+  // view pans with the fingers while it zooms with their spread.
+  function beginPinch(view, p, q) {
+    const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    return {
+      distance: Math.max(Math.hypot(q.x - p.x, q.y - p.y), 1),
+      scale: view.scale,
+      anchor: toWorld(view, mid.x, mid.y),
+    };
+  }
+
+  function pinchView(view, pinch, p, q) {
+    const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+    view.scale = clampZoom((pinch.scale * Math.hypot(q.x - p.x, q.y - p.y)) / pinch.distance);
+    view.x = mid.x - pinch.anchor.x * view.scale;
+    view.y = mid.y - pinch.anchor.y * view.scale;
+  }
+
+  return {
+    MIN_ZOOM,
+    MAX_ZOOM,
+    clampZoom,
+    toWorld,
+    zoomViewAt,
+    beginPinch,
+    pinchView,
+  };
+});
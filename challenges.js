@@ -0,0 +1,141 @@
+// Covalent Builder challenges: checks the scene against a target such
+// as "build ammonia" or "a molecule with a double bond". Challenge sets
+// are plain JSON (see challenges.json) so teachers can write their own.
+// No DOM access; the page reads it from `window.CovalentChallenges`.
+(function (root, factory) {
+  const isNode = typeof module === 'object' && module.exports;
+  const api = factory(isNode ? require('./simulation.js') : root.CovalentSim);
+  if (isNode) module.exports = api;
+  else root.CovalentChallenges = api;
+})(this, function (core) {
+  const {
+    findElement,
+    findMolecules,
+    checkOctets,
+    groupBondsByPair,
+    formatFormula,
+    formulaSymbol,
+    describeMolecule,
+  } = core;
+
+  const GOAL_KEYS = ['formula', 'bondOrder', 'octets', 'minAtoms'];
+  const BOND_NAMES = { 1: 'single', 2: 'double', 3: 'triple' };
+
+  // "NH3" -> { N: 1, H: 3 }. Element order does not matter, so teachers
+  // can write formulas the way lessons do rather than in Hill order.
+  function parseFormula(formula) {
+    const counts = {};
+    const text = String(formula).trim();
+    const pattern = /([A-Z][a-z]?)(\d*)/g;
+    let consumed = 0;
+    let match;
+    while ((match = pattern.exec(text))) {
+      if (match.index !== consumed || !findElement(match[1])) {
+        throw new Error(`Cannot read formula "${formula}".`);
+      }
+      counts[match[1]] = (counts[match[1]] || 0) + (match[2] ? Number(match[2]) : 1);
+      consumed = pattern.lastIndex;
+    }
+    if (consumed === 0 || consumed !== text.length) throw new Error(`Cannot read formula "${formula}".`);
+    return counts;
+  }
+
+  function sameCounts(a, b) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((k) => a[k] === b[k]);
+  }
+
+  // Check a parsed JSON challenge set and return it with formulas
+  // pre-parsed. Throws an Error naming the first problem found.
+  function validateChallengeSet(data) {
+    if (!data || !Array.isArray(data.challenges) || data.challenges.length === 0) {
+      throw new Error('A challenge set needs a non-empty "challenges" list.');
+    }
+    const challenges = data.challenges.map((c, i) => {
+      const where = `Challenge ${i + 1}`;
+      if (!c || typeof c.prompt !== 'string' || !c.prompt.trim()) throw new Error(`${where} needs a "prompt".`);
+      const goal = c.goal || {};
+      const keys = Object.keys(goal);
+      if (keys.length === 0) throw new Error(`${where} needs a "goal".`);
+      const unknown = keys.find((k) => !GOAL_KEYS.includes(k));
+      if (unknown) throw new Error(`${where} has an unknown goal "${unknown}".`);
+      if (goal.bondOrder != null && !BOND_NAMES[goal.bondOrder]) {
+        throw new Error(`${where}: "bondOrder" must be 1, 2 or 3.`);
+      }
+      const hints = c.hints || [];
+      if (!Array.isArray(hints) || hints.some((h) => typeof h !== 'string')) {
+        throw new Error(`${where}: "hints" must be a list of strings.`);
+      }
+      return {
+        prompt: c.prompt,
+        goal: { ...goal, counts: goal.formula != null ? parseFormula(goal.formula) : null },
+        hints,
+      };
+    });
+    return { title: typeof data.title === 'string' ? data.title : 'Challenges', challenges };
+  }
+
+  // An H+ particle counts as hydrogen, so NH3 + H+ meets an NH4 goal.
+  function countSymbols(atoms) {
+    const counts = {};
+    atoms.forEach((a) => {
+      const symbol = formulaSymbol(a.element);
+      counts[symbol] = (counts[symbol] || 0) + 1;
+    });
+    return counts;
+  }
+
+  // The goal's requirements a molecule does not meet yet, most basic first.
+  function unmetGoals(sim, molecule, goal, statuses) {
+    const unmet = [];
+    if (goal.counts && !sameCounts(countSymbols(molecule.atoms), goal.counts)) unmet.push('formula');
+    if (goal.minAtoms != null && molecule.atoms.length < goal.minAtoms) unmet.push('minAtoms');
+    if (goal.bondOrder != null) {
+      const ids = new Set(molecule.atoms.map((a) => a.id));
+      const hasOrder = [...groupBondsByPair(sim).values()].some(
+        (pairBonds) => ids.has(pairBonds[0].aId) && pairBonds.length === goal.bondOrder
+      );
+      if (!hasOrder) unmet.push('bondOrder');
+    }
+    if (goal.octets && molecule.atoms.some((a) => !statuses.get(a.id).complete)) unmet.push('octets');
+    return unmet;
+  }
+
+  // Check the scene against a validated challenge. Complete when any one
+  // molecule meets every part of the goal; otherwise `feedback` explains
+  // what the closest molecule is still missing.
+  function checkChallenge(sim, challenge) {
+    const goal = challenge.goal;
+    const molecules = findMolecules(sim);
+    if (molecules.length === 0) return { complete: false, feedback: 'Nothing is bonded yet.' };
+
+    const statuses = new Map(checkOctets(sim).map((s) => [s.atom.id, s]));
+    let closest = null;
+    let closestUnmet = null;
+    for (const molecule of molecules) {
+      const unmet = unmetGoals(sim, molecule, goal, statuses);
+      if (unmet.length === 0) {
+        return { complete: true, feedback: `Well done – ${describeMolecule(molecule)} meets the goal.` };
+      }
+      if (!closestUnmet || unmet.length < closestUnmet.length) {
+        closest = molecule;
+        closestUnmet = unmet;
+      }
+    }
+
+    const built = formatFormula(closest.displayFormula);
+    const messages = {
+      formula: `That is ${built}, not ${formatFormula(String(goal.formula))} yet.`,
+      minAtoms: `Use at least ${goal.minAtoms} atoms.`,
+      bondOrder: `No ${BOND_NAMES[goal.bondOrder]} bond yet.`,
+      octets: `${built} still has atoms without a full shell.`,
+    };
+    return { complete: false, feedback: messages[closestUnmet[0]] };
+  }
+
+  return {
+    parseFormula,
+    validateChallengeSet,
+    checkChallenge,
+  };
+});
@@ -0,0 +1,173 @@
+// Covalent Builder exporters: a clean Lewis diagram (SVG) and a plain
+// text formula list built from the simulation state, for pasting what
+// students built into worksheets. No DOM access; the page reads it from
+// `window.CovalentExport`, Node code can require() it.
+(function (root, factory) {
+  const isNode = typeof module === 'object' && module.exports;
+  const api = factory(isNode ? require('./simulation.js') : root.CovalentSim);
+  if (isNode) module.exports = api;
+  else root.CovalentExport = api;
+})(this, function (core) {
+  const { bondNeighbors, chargeSuffix, findMolecules, groupBondsByPair, formalCharges, formulaSymbol } = core;
+
+  const LEWIS_PADDING = 36;
+  const LEWIS_FONT_SIZE = 18;
+  const BOND_GAP = 13; // line start/end distance from each nucleus
+  const BOND_LINE_SPACING = 5;
+  const DOT_DISTANCE = 15;
+  const DOT_SPACING = 3.5;
+  const DOT_RADIUS = 1.8;
+
+  // Classic Lewis sides for lone pairs: right, below, left, above.
+  const LEWIS_SLOTS = [0, Math.PI / 2, Math.PI, -Math.PI / 2];
+
+  function escapeXml(text) {
+    return String(text).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+  }
+
+  function round(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  function angularGap(a, b) {
+    const d = Math.abs(a - b) % (Math.PI * 2);
+    return d > Math.PI ? Math.PI * 2 - d : d;
+  }
+
+  // Non-bonding electrons of an atom as dot groups: one per lone pair
+  // plus a single dot for a leftover unpaired electron. They follow from
+  // the formal charge: valence of the neutral atom minus bonds and charge.
+  function dotGroups(sim, atom, charge) {
+    let bonded = 0;
+    sim.bonds.forEach((b) => {
+      if (b.aId === atom.id || b.bId === atom.id) bonded++;
+    });
+    const free = atom.element.valence + (atom.element.charge || 0) - charge - bonded;
+    const groups = Array(Math.floor(free / 2)).fill(2);
+    if (free % 2) groups.push(1);
+    return groups;
+  }
+
+  // Directions for an atom's dot groups: the Lewis sides furthest from
+  // its bonds, or evenly spaced gaps if there are more groups than sides.
+  function dotDirections(bondAngles, count) {
+    if (count === 0) return [];
+    const clearance = (angle) =>
+      bondAngles.length ? Math.min(...bondAngles.map((b) => angularGap(angle, b))) : Math.PI;
+    if (bondAngles.length + count <= LEWIS_SLOTS.length) {
+      return LEWIS_SLOTS.map((angle) => ({ angle, clear: clearance(angle) }))
+        .sort((p, q) => q.clear - p.clear)
+        .slice(0, count)
+        .map((s) => s.angle);
+    }
+    const start = bondAngles.length ? bondAngles[0] : 0;
+    const step = (Math.PI * 2) / (bondAngles.length + count);
+    const candidates = [];
+    for (let i = 0; i < bondAngles.length + count; i++) candidates.push(start + i * step);
+    return candidates
+      .sort((a, b) => clearance(b) - clearance(a))
+      .slice(0, count);
+  }
+
+  // Lewis structure of the whole scene: element symbols, one line per
+  // shared pair and dots for every non-bonding electron. Returns an SVG
+  // document as a string.
+  function lewisSvg(sim) {
+    if (sim.atoms.length === 0) {
+      return '<svg xmlns="http://www.w3.org/2000/svg" width="0" height="0"></svg>\n';
+    }
+
+    const minX = Math.min(...sim.atoms.map((a) => a.x)) - LEWIS_PADDING;
+    const minY = Math.min(...sim.atoms.map((a) => a.y)) - LEWIS_PADDING;
+    const width = Math.max(...sim.atoms.map((a) => a.x)) + LEWIS_PADDING - minX;
+    const height = Math.max(...sim.atoms.map((a) => a.y)) + LEWIS_PADDING - minY;
+    const px = (atom) => ({ x: atom.x - minX, y: atom.y - minY });
+
+    const byId = new Map(sim.atoms.map((a) => [a.id, a]));
+    const neighbors = bondNeighbors(sim);
+    const charges = formalCharges(sim);
+    const lines = [];
+    const dots = [];
+    const labels = [];
+
+    groupBondsByPair(sim).forEach((pairBonds) => {
+      const order = pairBonds.length;
+      const a = px(byId.get(pairBonds[0].aId));
+      const b = px(byId.get(pairBonds[0].bId));
+      const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+      const ux = (b.x - a.x) / len;
+      const uy = (b.y - a.y) / len;
+      for (let i = 0; i < order; i++) {
+        const shift = (i - (order - 1) / 2) * BOND_LINE_SPACING;
+        const ox = -uy * shift;
+        const oy = ux * shift;
+        lines.push(
+          `<line x1="${round(a.x + ux * BOND_GAP + ox)}" y1="${round(a.y + uy * BOND_GAP + oy)}" ` +
+            `x2="${round(b.x - ux * BOND_GAP + ox)}" y2="${round(b.y - uy * BOND_GAP + oy)}"/>`
+        );
+      }
+    });
+
+    sim.atoms.forEach((atom) => {
+      const p = px(atom);
+      const bondAngles = [...neighbors.get(atom.id)].map((id) => {
+        const other = byId.get(id);
+        return Math.atan2(other.y - atom.y, other.x - atom.x);
+      });
+      const charge = charges.get(atom.id) || 0;
+      const groups = dotGroups(sim, atom, charge);
+      dotDirections(bondAngles, groups.length).forEach((angle, i) => {
+        const cx = p.x + Math.cos(angle) * DOT_DISTANCE;
+        const cy = p.y + Math.sin(angle) * DOT_DISTANCE;
+        const offsets = groups[i] === 2 ? [-DOT_SPACING, DOT_SPACING] : [0];
+        offsets.forEach((o) => {
+          dots.push(
+            `<circle cx="${round(cx - Math.sin(angle) * o)}" cy="${round(cy + Math.cos(angle) * o)}" r="${DOT_RADIUS}"/>`
+          );
+        });
+      });
+      // Charged atoms carry a superscript, e.g. Na+, Cl− and N+ in NH4+.
+      const size = Math.abs(charge);
+      const sign = charge > 0 ? '+' : '−';
+      const superscript = charge ? `<tspan dy="-8" font-size="12">${size > 1 ? size : ''}${sign}</tspan>` : '';
+      labels.push(`<text x="${round(p.x)}" y="${round(p.y)}">${escapeXml(formulaSymbol(atom.element))}${superscript}</text>`);
+    });
+
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width)}" height="${round(height)}" viewBox="0 0 ${round(width)} ${round(height)}">`,
+      '  <rect width="100%" height="100%" fill="white"/>',
+      `  <g stroke="black" stroke-width="1.6" stroke-linecap="round">${lines.join('')}</g>`,
+      `  <g fill="black">${dots.join('')}</g>`,
+      `  <g font-family="Helvetica, Arial, sans-serif" font-size="${LEWIS_FONT_SIZE}" text-anchor="middle" dominant-baseline="central" fill="black">${labels.join('')}</g>`,
+      '</svg>',
+      '',
+    ].join('\n');
+  }
+
+  // One line per distinct molecule with a count, e.g. "2 × Water (H2O)"
+  // or "Ammonium (NH4+)", followed by any atoms that are not bonded to
+  // anything.
+  function formulaListText(sim) {
+    const molecules = findMolecules(sim);
+    const counts = new Map();
+    molecules.forEach((m) => {
+      const formula = m.displayFormula + chargeSuffix(m.charge);
+      const label = m.name ? `${m.name} (${formula})` : formula;
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+
+    const lines = ['Covalent Builder – molecules built'];
+    if (counts.size === 0) lines.push('(none)');
+    counts.forEach((count, label) => lines.push(count > 1 ? `${count} × ${label}` : label));
+
+    const grouped = new Set(molecules.flatMap((m) => m.atoms));
+    const loose = sim.atoms.filter((a) => !grouped.has(a)).map((a) => a.element.symbol);
+    if (loose.length) lines.push('', `Unbonded atoms: ${loose.join(', ')}`);
+    return lines.join('\n') + '\n';
+  }
+
+  return {
+    lewisSvg,
+    formulaListText,
+  };
+});
@@ -0,0 +1,685 @@
+// Covalent Builder file formats: SMILES and MDL MOL (V2000) import and
+// export, for moving molecules to and from other chemistry software.
+// Imports go through a plain molecular graph ({ atoms, bonds } with
+// atom indices) that is laid out in 2D and spawned into the simulation;
+// the normal bonding pass then forms the shared pairs. No DOM access;
+// the page reads it from `window.CovalentFormats`.
+(function (root, factory) {
+  const isNode = typeof module === 'object' && module.exports;
+  const api = factory(isNode ? require('./simulation.js') : root.CovalentSim);
+  if (isNode) module.exports = api;
+  else root.CovalentFormats = api;
+})(this, function (core) {
+  const {
+    BOND_TARGET_LENGTH,
+    findElement,
+    lonePairCount,
+    MAX_BOND_ORDER,
+    LONE_PAIR_SPREAD,
+    bondRuleFor,
+    isIonicPair,
+    bondPairOffsets,
+    normalizeAngle,
+    spawnAtomFromElement,
+    groupBondsByPair,
+    connectedAtomIds,
+    bondNeighbors,
+    formalCharges,
+    formulaSymbol,
+  } = core;
+
+  // Elements SMILES may write without brackets; their missing bonds are
+  // filled with implicit hydrogens.
+  const ORGANIC_SUBSET = ['C', 'N', 'O', 'P', 'S', 'F', 'Cl', 'Br', 'I'];
+  const BOND_SYMBOLS = { 1: '', 2: '=', 3: '#' };
+  const MOL_PX_PER_ANGSTROM = BOND_TARGET_LENGTH / 1.5;
+  const LAYOUT_ITERATIONS = 300;
+  const COMPONENT_GAP = 100; // px between molecules from one import
+
+  // --- Writing -------------------------------------------------------
+
+  // Bond graph of the current scene: atom -> [{ atom, order }].
+  function sceneGraph(sim) {
+    const byId = new Map(sim.atoms.map((a) => [a.id, a]));
+    const edges = new Map(sim.atoms.map((a) => [a.id, []]));
+    groupBondsByPair(sim).forEach((pairBonds) => {
+      const a = byId.get(pairBonds[0].aId);
+      const b = byId.get(pairBonds[0].bId);
+      if (!a || !b) return;
+      edges.get(a.id).push({ atom: b, order: pairBonds.length });
+      edges.get(b.id).push({ atom: a, order: pairBonds.length });
+    });
+    return edges;
+  }
+
+  // Hydrogens hanging off a heavier atom by a single bond are written
+  // as implicit or bracket H counts instead of atoms of their own.
+  function isSuppressedHydrogen(atom, edges) {
+    const links = edges.get(atom.id);
+    return (
+      formulaSymbol(atom.element) === 'H' &&
+      links.length === 1 &&
+      links[0].order === 1 &&
+      formulaSymbol(links[0].atom.element) !== 'H'
+    );
+  }
+
+  // Charged atoms are always bracketed with their formal charge, e.g.
+  // [Na+], [O-2], [NH4+].
+  function smilesAtom(atom, edges, charge = 0) {
+    const links = edges.get(atom.id);
+    const hydrogens = links.filter((l) => isSuppressedHydrogen(l.atom, edges)).length;
+    const valence = links.reduce((sum, l) => sum + l.order, 0);
+    const symbol = formulaSymbol(atom.element);
+    if (!charge && ORGANIC_SUBSET.includes(symbol) && valence === atom.element.bondingCapacity) return symbol;
+    const h = hydrogens === 0 ? '' : hydrogens === 1 ? 'H' : `H${hydrogens}`;
+    const sign = charge > 0 ? '+' : '-';
+    const chargeText = charge === 0 ? '' : Math.abs(charge) === 1 ? sign : `${sign}${Math.abs(charge)}`;
+    return `[${symbol}${h}${chargeText}]`;
+  }
+
+  function ringLabel(n) {
+    return n < 10 ? String(n) : `%${n}`;
+  }
+
+  // SMILES for one connected component, depth first from `start`.
+  // Bonds back to an atom already written become ring closures.
+  function componentSmiles(start, edges, charges) {
+    const heavyLinks = (atom) => edges.get(atom.id).filter((l) => !isSuppressedHydrogen(l.atom, edges));
+
+    // First walk: split the graph into tree edges and ring closures.
+    const children = new Map();
+    const rings = new Map(); // atom id -> [{ partner, order }]
+    const visited = new Set();
+    const walk = (atom, parent) => {
+      visited.add(atom.id);
+      children.set(atom.id, []);
+      rings.set(atom.id, rings.get(atom.id) || []);
+      heavyLinks(atom).forEach((link) => {
+        if (parent && link.atom.id === parent.id) return;
+        if (visited.has(link.atom.id)) {
+          // Seen from the descendant side first; record at both ends once.
+          const known = rings.get(atom.id).some((r) => r.partner.id === link.atom.id);
+          if (!known) {
+            rings.get(atom.id).push({ partner: link.atom, order: link.order });
+            rings.get(link.atom.id).push({ partner: atom, order: link.order });
+          }
+          return;
+        }
+        children.get(atom.id).push(link);
+        walk(link.atom, atom);
+      });
+    };
+    walk(start, null);
+
+    // Second walk: write atoms, ring digits and branches.
+    const open = new Map(); // "id-id" -> digit
+    const free = [];
+    let nextDigit = 1;
+    const write = (atom) => {
+      let out = smilesAtom(atom, edges, charges.get(atom.id));
+      rings.get(atom.id).forEach(({ partner, order }) => {
+        const key = atom.id < partner.id ? `${atom.id}-${partner.id}` : `${partner.id}-${atom.id}`;
+        if (open.has(key)) {
+          out += ringLabel(open.get(key));
+          free.push(open.get(key));
+          free.sort((a, b) => a - b);
+          open.delete(key);
+        } else {
+          const digit = free.length ? free.shift() : nextDigit++;
+          open.set(key, digit);
+          out += BOND_SYMBOLS[order] + ringLabel(digit);
+        }
+      });
+      const branches = children.get(atom.id);
+      branches.forEach((link, i) => {
+        const text = BOND_SYMBOLS[link.order] + write(link.atom);
+        out += i < branches.length - 1 ? `(${text})` : text;
+      });
+      return out;
+    };
+    return write(start);
+  }
+
+  // SMILES for the whole scene, one dot-separated entry per molecule or
+  // loose atom, e.g. "O=C=O.O".
+  function toSmiles(sim) {
+    const edges = sceneGraph(sim);
+    const charges = formalCharges(sim);
+    const neighbors = bondNeighbors(sim);
+    const done = new Set();
+    const parts = [];
+    sim.atoms.forEach((atom) => {
+      if (done.has(atom.id) || isSuppressedHydrogen(atom, edges)) return;
+      const memberIds = connectedAtomIds(sim, [atom.id], neighbors);
+      memberIds.forEach((id) => done.add(id));
+      const members = sim.atoms.filter((a) => memberIds.has(a.id) && !isSuppressedHydrogen(a, edges));
+      // Start from an end of the chain so the main chain reads straight.
+      const heavyDegree = (a) => edges.get(a.id).filter((l) => !isSuppressedHydrogen(l.atom, edges)).length;
+      const start = members.reduce((best, a) => (heavyDegree(a) < heavyDegree(best) ? a : best), members[0]);
+      parts.push(componentSmiles(start, edges, charges));
+    });
+    return parts.join('.');
+  }
+
+  function fixed(value, width, digits) {
+    return value.toFixed(digits).padStart(width);
+  }
+
+  // Atom-block charge codes of the MOL format: 3 for +1, 5 for −1, …
+  function molChargeCode(charge) {
+    return charge === 0 || Math.abs(charge) > 3 ? 0 : 4 - charge;
+  }
+
+  // MDL MOL V2000 with 2D coordinates in ångström (y up), scaled so a
+  // relaxed bond is 1.5 Å. Formal charges go in the atom block and an
+  // M  CHG line.
+  function toMolfile(sim, title = 'Covalent Builder scene') {
+    const index = new Map(sim.atoms.map((a, i) => [a.id, i + 1]));
+    const cx = sim.atoms.reduce((sum, a) => sum + a.x, 0) / (sim.atoms.length || 1);
+    const cy = sim.atoms.reduce((sum, a) => sum + a.y, 0) / (sim.atoms.length || 1);
+    const pairs = [...groupBondsByPair(sim).values()];
+    const charges = formalCharges(sim);
+
+    const lines = [
+      title,
+      '  CovBuild          2D',
+      '',
+      `${fixed(sim.atoms.length, 3, 0)}${fixed(pairs.length, 3, 0)}  0  0  0  0  0  0  0  0999 V2000`,
+    ];
+    sim.atoms.forEach((a) => {
+      const x = (a.x - cx) / MOL_PX_PER_ANGSTROM;
+      const y = -(a.y - cy) / MOL_PX_PER_ANGSTROM;
+      const charge = fixed(molChargeCode(charges.get(a.id)), 3, 0);
+      lines.push(
+        `${fixed(x, 10, 4)}${fixed(y, 10, 4)}${fixed(0, 10, 4)} ${formulaSymbol(a.element).padEnd(3)} 0${charge}  0  0  0  0  0  0  0  0  0  0`
+      );
+    });
+    pairs.forEach((pairBonds) => {
+      const b = pairBonds[0];
+      lines.push(`${fixed(index.get(b.aId), 3, 0)}${fixed(index.get(b.bId), 3, 0)}${fixed(pairBonds.length, 3, 0)}  0`);
+    });
+    // At most eight charges per M  CHG line.
+    const charged = sim.atoms.filter((a) => charges.get(a.id) !== 0);
+    for (let i = 0; i < charged.length; i += 8) {
+      const chunk = charged.slice(i, i + 8);
+      const entries = chunk.map((a) => `${fixed(index.get(a.id), 4, 0)}${fixed(charges.get(a.id), 4, 0)}`).join('');
+      lines.push(`M  CHG${fixed(chunk.length, 3, 0)}${entries}`);
+    }
+    lines.push('M  END', '');
+    return lines.join('\n');
+  }
+
+  // --- Reading -------------------------------------------------------
+
+  function elementFor(symbol, source) {
+    const el = findElement(symbol);
+    if (!el) throw new Error(`Unknown element "${symbol}" in ${source}.`);
+    return el;
+  }
+
+  // The charge of a SMILES bracket atom: "+", "-", "+2", "-3" or "++".
+  function smilesCharge(text) {
+    if (!text) return 0;
+    const match = /^(\++|-+)(\d*)$/.exec(text);
+    if (!match || (match[1].length > 1 && match[2])) throw new Error(`Cannot read charge "${text}" in SMILES.`);
+    const size = match[2] ? Number(match[2]) : match[1].length;
+    return match[1][0] === '+' ? size : -size;
+  }
+
+  // MOL atom-block charge codes, the reverse of molChargeCode. Code 4
+  // marks a radical, which the builder has no way to show.
+  function molCodeCharge(code) {
+    if (!code) return 0;
+    if (code === 4 || code > 7) throw new Error('Radicals are not supported.');
+    return 4 - code;
+  }
+
+  // Parse a SMILES string into a molecular graph. Supports the organic
+  // subset, bracket atoms with H counts and charges, branches, ring
+  // closures, dots and single/double/triple bonds. Aromatic (lowercase)
+  // atoms are rejected: write benzene in Kekulé form, C1=CC=CC=C1.
+  function parseSmiles(text) {
+    const smiles = String(text).trim();
+    if (!smiles) throw new Error('Enter a SMILES string, e.g. O=C=O.');
+    const atoms = [];
+    const bonds = [];
+    const stack = [];
+    const openRings = new Map();
+    let previous = null;
+    let pendingOrder = null;
+    let i = 0;
+
+    const addAtom = (symbol, hCount, charge = 0) => {
+      const index = atoms.length;
+      atoms.push({ symbol, hCount, charge });
+      if (previous != null) bonds.push({ a: previous, b: index, order: pendingOrder || 1 });
+      previous = index;
+      pendingOrder = null;
+    };
+
+    while (i < smiles.length) {
+      const c = smiles[i];
+      const two = smiles.slice(i, i + 2);
+      if (c === '[') {
+        const end = smiles.indexOf(']', i);
+        if (end < 0) throw new Error('Unclosed "[" in SMILES.');
+        const match = /^(\d*)([A-Z][a-z]?)(@*)(H(\d*))?([+-].*)?$/.exec(smiles.slice(i + 1, end));
+        if (!match) throw new Error(`Cannot read atom "${smiles.slice(i, end + 1)}" in SMILES.`);
+        elementFor(match[2], 'SMILES');
+        addAtom(match[2], match[4] ? Number(match[5] || 1) : 0, smilesCharge(match[6]));
+        i = end + 1;
+      } else if (two === 'Cl' || two === 'Br') {
+        addAtom(two, null);
+        i += 2;
+      } else if (/[A-Z]/.test(c)) {
+        if (!ORGANIC_SUBSET.includes(c)) throw new Error(`Write "${c}" in brackets, e.g. [${c}].`);
+        addAtom(c, null);
+        i++;
+      } else if (/[a-z]/.test(c)) {
+        throw new Error('Aromatic SMILES is not supported; use the Kekulé form, e.g. C1=CC=CC=C1.');
+      } else if (c === '-' || c === '/' || c === '\\') {
+        pendingOrder = 1;
+        i++;
+      } else if (c === '=' || c === '#') {
+        pendingOrder = c === '=' ? 2 : 3;
+        i++;
+      } else if (c === '(') {
+        if (previous == null) throw new Error('A branch needs an atom before it.');
+        stack.push(previous);
+        i++;
+      } else if (c === ')') {
+        if (stack.length === 0) throw new Error('Unbalanced ")" in SMILES.');
+        previous = stack.pop();
+        i++;
+      } else if (c === '.') {
+        previous = null;
+        pendingOrder = null;
+        i++;
+      } else if (/[0-9%]/.test(c)) {
+        const label = c === '%' ? smiles.slice(i + 1, i + 3) : c;
+        i += c === '%' ? 3 : 1;
+        if (previous == null) throw new Error('A ring closure needs an atom before it.');
+        if (openRings.has(label)) {
+          const ring = openRings.get(label);
+          openRings.delete(label);
+          bonds.push({ a: ring.atom, b: previous, order: pendingOrder || ring.order || 1 });
+        } else {
+          openRings.set(label, { atom: previous, order: pendingOrder });
+        }
+        pendingOrder = null;
+      } else {
+        throw new Error(`Unexpected "${c}" in SMILES.`);
+      }
+    }
+    if (stack.length) throw new Error('Unbalanced "(" in SMILES.');
+    if (openRings.size) throw new Error('Unclosed ring in SMILES.');
+    return placeProtons(addHydrogens(pairIons({ atoms, bonds })));
+  }
+
+  // Parse an MDL MOL (V2000) file into a molecular graph with 2D
+  // coordinates. Missing hydrogens are added as for SMILES. Charges come
+  // from the atom block or, when present, the M  CHG lines.
+  function parseMolfile(text) {
+    const lines = String(text).replace(/\r/g, '').split('\n');
+    const counts = lines[3] || '';
+    if (/V3000/.test(counts)) throw new Error('Only V2000 MOL files are supported.');
+    const atomCount = parseInt(counts.slice(0, 3), 10);
+    const bondCount = parseInt(counts.slice(3, 6), 10);
+    if (!(atomCount > 0) || Number.isNaN(bondCount) || lines.length < 4 + atomCount + bondCount) {
+      throw new Error('That is not a MOL file.');
+    }
+
+    const atoms = [];
+    for (let k = 0; k < atomCount; k++) {
+      const line = lines[4 + k];
+      const symbol = line.slice(31, 34).trim();
+      elementFor(symbol, 'MOL file');
+      const charge = molCodeCharge(parseInt(line.slice(36, 39), 10));
+      atoms.push({ symbol, hCount: null, charge, x: parseFloat(line.slice(0, 10)), y: -parseFloat(line.slice(10, 20)) });
+    }
+    const bonds = [];
+    for (let k = 0; k < bondCount; k++) {
+      const line = lines[4 + atomCount + k];
+      const order = parseInt(line.slice(6, 9), 10);
+      if (!(order >= 1 && order <= 3)) throw new Error('Only single, double and triple bonds are supported.');
+      bonds.push({ a: parseInt(line.slice(0, 3), 10) - 1, b: parseInt(line.slice(3, 6), 10) - 1, order });
+    }
+    const chargeLines = lines.filter((line) => line.startsWith('M  CHG'));
+    if (chargeLines.length) atoms.forEach((a) => (a.charge = 0));
+    chargeLines.forEach((line) => {
+      const entries = parseInt(line.slice(6, 9), 10);
+      for (let k = 0; k < entries; k++) {
+        const atom = atoms[parseInt(line.slice(9 + 8 * k, 13 + 8 * k), 10) - 1];
+        const charge = parseInt(line.slice(13 + 8 * k, 17 + 8 * k), 10);
+        if (!atom || Number.isNaN(charge)) throw new Error('That is not a MOL file.');
+        atom.charge = charge;
+      }
+    });
+
+    // Scale so the typical bond is the simulation's relaxed bond length.
+    const lengths = bonds
+      .map((b) => Math.hypot(atoms[b.a].x - atoms[b.b].x, atoms[b.a].y - atoms[b.b].y))
+      .filter((d) => d > 0)
+      .sort((p, q) => p - q);
+    const scale = lengths.length ? BOND_TARGET_LENGTH / lengths[Math.floor(lengths.length / 2)] : MOL_PX_PER_ANGSTROM;
+    atoms.forEach((a) => {
+      a.x *= scale;
+      a.y *= scale;
+    });
+    return placeProtons(addHydrogens(pairIons({ atoms, bonds })));
+  }
+
+  // Bonds an atom can form once charged: Na+ has no electron left to
+  // share, Cl- has a full shell like argon and N+ bonds four times like
+  // carbon.
+  function bondingCapacity(atom) {
+    const el = findElement(atom.symbol);
+    if (!atom.charge) return el.bondingCapacity;
+    const electrons = el.valence - atom.charge;
+    return Math.max(0, Math.min(electrons, 8 - electrons));
+  }
+
+  // Charges can raise the bond order two atoms allow: [C-]#[O+].
+  function maxBondOrder(atomA, atomB) {
+    const elA = findElement(atomA.symbol);
+    const elB = findElement(atomB.symbol);
+    const rule = bondRuleFor(elA, elB);
+    if (rule.maxOrder === 0 || (!atomA.charge && !atomB.charge)) return rule.maxOrder;
+    return Math.min(MAX_BOND_ORDER, bondingCapacity(atomA), bondingCapacity(atomB));
+  }
+
+  // The builder makes ions by moving electrons from a metal to a
+  // non-metal, so each charged metal is paired with the negative atoms
+  // that took its electrons, fewest bonds first. A pair becomes an ionic
+  // edge ({ ionic: true, order: electrons }) that lays the two out side
+  // by side, where the bonding pass moves the electrons over again.
+  function pairIons(graph) {
+    const left = graph.atoms.map((a) => a.charge || 0);
+    const bondCounts = graph.atoms.map(() => 0);
+    graph.bonds.forEach(({ a, b }) => {
+      bondCounts[a]++;
+      bondCounts[b]++;
+    });
+    const anions = graph.atoms
+      .map((_, i) => i)
+      .filter((i) => left[i] < 0 && !findElement(graph.atoms[i].symbol).metal)
+      .sort((i, j) => bondCounts[i] - bondCounts[j]);
+
+    graph.atoms.forEach((atom, i) => {
+      const el = findElement(atom.symbol);
+      if (!el.metal || left[i] === 0) return;
+      if (left[i] < 0) throw new Error(`${el.name} gives electrons away; it cannot take them.`);
+      if (left[i] > el.valence) throw new Error(`${el.name} can give away at most ${el.valence} electrons.`);
+      anions.forEach((j) => {
+        const electrons = Math.min(left[i], -left[j]);
+        if (electrons <= 0 || !isIonicPair(el, findElement(graph.atoms[j].symbol))) return;
+        graph.bonds.push({ a: i, b: j, order: electrons, ionic: true });
+        left[i] -= electrons;
+        left[j] += electrons;
+      });
+    });
+    return graph;
+  }
+
+  // Check every atom can make the bonds the graph asks for, then add
+  // hydrogen atoms for each atom's missing bonds (organic-subset SMILES
+  // atoms and MOL atoms) or explicit bracket H count.
+  function addHydrogens(graph) {
+    const used = graph.atoms.map(() => 0);
+    graph.bonds.forEach(({ a, b, order, ionic }) => {
+      if (ionic) return;
+      const elA = findElement(graph.atoms[a].symbol);
+      const elB = findElement(graph.atoms[b].symbol);
+      if (order > maxBondOrder(graph.atoms[a], graph.atoms[b])) {
+        throw new Error(`${elA.name} and ${elB.name} cannot share ${order} electron pairs.`);
+      }
+      used[a] += order;
+      used[b] += order;
+    });
+
+    graph.atoms.slice().forEach((atom, index) => {
+      const el = findElement(atom.symbol);
+      const capacity = bondingCapacity(atom);
+      if (used[index] > capacity) {
+        throw new Error(`${el.name} can form at most ${capacity} bonds.`);
+      }
+      const implicit = atom.hCount == null ? capacity - used[index] : atom.hCount;
+      if (used[index] + implicit > capacity) {
+        throw new Error(`${el.name} can form at most ${capacity} bonds.`);
+      }
+      for (let h = 0; h < implicit; h++) {
+        graph.bonds.push({ a: index, b: graph.atoms.length, order: 1 });
+        graph.atoms.push({ symbol: 'H', hCount: 0, implicit: true });
+      }
+    });
+    return graph;
+  }
+
+  // A positive atom with more bonds than its neutral element forms got
+  // the extra ones as dative bonds. The builder forms those from a bare
+  // proton, so as many of its hydrogens become H+ particles ([NH4+] is
+  // NH3 plus H+); with no hydrogen the partner lends a pair, as O does
+  // to C in [C-]#[O+]. A lone [H+] is the particle itself. What charge
+  // the H+ particles and ion pairs do not account for cannot be built.
+  function placeProtons(graph) {
+    const used = graph.atoms.map(() => 0);
+    graph.bonds.forEach(({ a, b, order, ionic }) => {
+      if (ionic) return;
+      used[a] += order;
+      used[b] += order;
+    });
+    graph.atoms.forEach((atom, i) => {
+      const el = findElement(atom.symbol);
+      if (el.symbol === 'H' && atom.charge === 1 && used[i] === 0) {
+        atom.symbol = 'H+';
+        return;
+      }
+      let extra = Math.min(atom.charge || 0, used[i] - el.bondingCapacity);
+      graph.bonds.forEach(({ a, b, ionic }) => {
+        const other = a === i ? b : b === i ? a : -1;
+        if (extra <= 0 || ionic || other < 0 || graph.atoms[other].symbol !== 'H') return;
+        graph.atoms[other].symbol = 'H+';
+        extra--;
+      });
+    });
+
+    const unbalanced = graph.atoms.reduce((sum, a) => sum + (a.charge || 0) - (findElement(a.symbol).charge || 0), 0);
+    if (unbalanced < 0) throw new Error('A negative ion needs a metal to take its electrons from.');
+    if (unbalanced > 0) throw new Error('A positive ion needs a non-metal to give its electrons to.');
+    return graph;
+  }
+
+  // --- Layout and spawning -------------------------------------------
+
+  function graphNeighbors(graph) {
+    const neighbors = graph.atoms.map(() => []);
+    graph.bonds.forEach(({ a, b }) => {
+      neighbors[a].push(b);
+      neighbors[b].push(a);
+    });
+    return neighbors;
+  }
+
+  // Spread the added hydrogens of atom `i` evenly over the widest gap
+  // between its already placed neighbors.
+  function placeHydrogens(graph, neighbors, i) {
+    const base = graph.atoms[i];
+    const hydrogens = neighbors[i].filter((n) => graph.atoms[n].x == null);
+    if (hydrogens.length === 0) return;
+    const angles = neighbors[i]
+      .filter((n) => graph.atoms[n].x != null)
+      .map((n) => Math.atan2(graph.atoms[n].y - base.y, graph.atoms[n].x - base.x))
+      .sort((p, q) => p - q);
+    let gapStart = -Math.PI / 2;
+    let widest = Math.PI * 2;
+    if (angles.length) {
+      widest = -1;
+      angles.forEach((start, k) => {
+        const end = k === angles.length - 1 ? angles[0] + Math.PI * 2 : angles[k + 1];
+        if (end - start > widest) {
+          widest = end - start;
+          gapStart = start;
+        }
+      });
+    }
+    // A gap with no neighbor on either side has no end to stay clear of;
+    // around a lone atom the lone pairs take their share of the circle,
+    // as on a freshly spawned atom (so water starts bent, not linear).
+    const slots = angles.length
+      ? hydrogens.length + 1
+      : hydrogens.length + lonePairCount(findElement(base.symbol));
+    hydrogens.forEach((n, k) => {
+      const angle = gapStart + (widest * (k + 1)) / slots;
+      graph.atoms[n].x = base.x + Math.cos(angle) * BOND_TARGET_LENGTH;
+      graph.atoms[n].y = base.y + Math.sin(angle) * BOND_TARGET_LENGTH;
+    });
+  }
+
+  // Give every atom without coordinates a position. With coordinates
+  // (MOL) only the added hydrogens need placing. Without (SMILES) each
+  // molecule's skeleton is laid out as a tree from its first atom and
+  // relaxed with springs so rings close up, then gets its hydrogens, and
+  // the molecules are set side by side left to right.
+  function layoutGraph(graph) {
+    const neighbors = graphNeighbors(graph);
+
+    if (graph.atoms.some((a) => a.x != null)) {
+      graph.atoms.forEach((atom, i) => {
+        if (atom.x != null) placeHydrogens(graph, neighbors, i);
+      });
+      return graph;
+    }
+
+    let offsetX = 0;
+    const seen = new Set();
+    graph.atoms.forEach((root, rootIndex) => {
+      if (seen.has(rootIndex) || root.implicit) return;
+      const skeleton = [rootIndex];
+      seen.add(rootIndex);
+      root.x = 0;
+      root.y = 0;
+      const towardParent = new Map([[rootIndex, Math.PI]]);
+      for (let k = 0; k < skeleton.length; k++) {
+        const i = skeleton[k];
+        const atom = graph.atoms[i];
+        const next = neighbors[i].filter((n) => !seen.has(n) && !graph.atoms[n].implicit);
+        const step = (Math.PI * 2) / (next.length + (k === 0 ? 0 : 1) || 1);
+        next.forEach((n, j) => {
+          const angle = towardParent.get(i) + step * (j + 1);
+          seen.add(n);
+          skeleton.push(n);
+          graph.atoms[n].x = atom.x + Math.cos(angle) * BOND_TARGET_LENGTH;
+          graph.atoms[n].y = atom.y + Math.sin(angle) * BOND_TARGET_LENGTH;
+          towardParent.set(n, angle + Math.PI);
+        });
+      }
+      relaxComponent(graph, skeleton, neighbors);
+
+      const component = skeleton.slice();
+      skeleton.forEach((i) => {
+        placeHydrogens(graph, neighbors, i);
+        neighbors[i].filter((n) => graph.atoms[n].implicit).forEach((n) => component.push(n));
+      });
+      relaxComponent(graph, component, neighbors);
+      const minX = Math.min(...component.map((i) => graph.atoms[i].x));
+      const maxX = Math.max(...component.map((i) => graph.atoms[i].x));
+      component.forEach((i) => {
+        graph.atoms[i].x += offsetX - minX;
+      });
+      offsetX += maxX - minX + COMPONENT_GAP;
+    });
+    return graph;
+  }
+
+  // Springs along bonds plus a short-range push between all other atom
+  // pairs, so branches fan out and ring closures come within range.
+  function relaxComponent(graph, component, neighbors) {
+    const reach = BOND_TARGET_LENGTH * 1.5;
+    for (let step = 0; step < LAYOUT_ITERATIONS; step++) {
+      component.forEach((i, k) => {
+        component.slice(k + 1).forEach((j) => {
+          const a = graph.atoms[i];
+          const b = graph.atoms[j];
+          const dx = b.x - a.x;
+          const dy = b.y - a.y;
+          const d = Math.hypot(dx, dy) || 0.01;
+          let push = 0;
+          if (neighbors[i].includes(j)) push = (d - BOND_TARGET_LENGTH) * 0.3;
+          else if (d < reach) push = -(reach - d) * 0.05;
+          if (push === 0) return;
+          const fx = (dx / d) * push;
+          const fy = (dy / d) * push;
+          a.x += fx;
+          a.y += fy;
+          b.x -= fx;
+          b.y -= fy;
+        });
+      });
+    }
+  }
+
+  // Spawn a laid-out graph with its left edge at `left`, centered
+  // vertically on `centerY`, and turn each bond's electrons toward the
+  // partner atom so the bonding pass pairs them up. Returns the atoms.
+  function spawnGraph(sim, graph, left, centerY) {
+    layoutGraph(graph);
+    const minX = Math.min(...graph.atoms.map((a) => a.x));
+    const minY = Math.min(...graph.atoms.map((a) => a.y));
+    const maxY = Math.max(...graph.atoms.map((a) => a.y));
+    const dy = centerY - (minY + maxY) / 2;
+    const spawned = graph.atoms.map((a) =>
+      spawnAtomFromElement(sim, findElement(a.symbol), a.x - minX + left, a.y + dy)
+    );
+
+    const claimed = new Set();
+    const face = (atom, other, order) => {
+      const axis = Math.atan2(other.y - atom.y, other.x - atom.x);
+      const offsets = bondPairOffsets(order);
+      atom.electrons
+        .filter((e) => e.lonePair == null && !claimed.has(e.id))
+        .map((e) => ({ e, side: normalizeAngle(e.baseAngle + e.angleOffset - axis) }))
+        .sort((p, q) => Math.abs(p.side) - Math.abs(q.side))
+        .slice(0, order)
+        .sort((p, q) => p.side - q.side)
+        .forEach(({ e }, k) => {
+          claimed.add(e.id);
+          e.angleOffset = normalizeAngle(axis + offsets[k] - e.baseAngle);
+        });
+    };
+    // A bare proton has no electron to pair with: the nearest lone pair
+    // turns toward it instead, so it can be lent.
+    const faceLonePair = (atom, other) => {
+      const axis = Math.atan2(other.y - atom.y, other.x - atom.x);
+      const side = (e) => Math.abs(normalizeAngle(e.baseAngle + e.angleOffset - axis));
+      const [nearest] = atom.electrons
+        .filter((e) => e.lonePair != null && !claimed.has(e.id))
+        .sort((p, q) => side(p) - side(q));
+      if (!nearest) return;
+      atom.electrons.filter((e) => e.lonePair === nearest.lonePair).forEach((e, k) => {
+        claimed.add(e.id);
+        const spread = k === 0 ? -LONE_PAIR_SPREAD : LONE_PAIR_SPREAD;
+        e.angleOffset = normalizeAngle(axis + spread - e.baseAngle);
+      });
+    };
+    graph.bonds.forEach(({ a, b, order }) => {
+      [
+        [spawned[a], spawned[b]],
+        [spawned[b], spawned[a]],
+      ].forEach(([atom, other]) => {
+        if (other.electrons.length === 0) faceLonePair(atom, other);
+        else face(atom, other, order);
+      });
+    });
+    return spawned;
+  }
+
+  return {
+    toSmiles,
+    toMolfile,
+    parseSmiles,
+    parseMolfile,
+    layoutGraph,
+    spawnGraph,
+  };
+});
@@ -1,30 +1,193 @@
-// Covalent Builder core
-
-const ELEMENTS = [
-  { symbol: 'H', name: 'Hydrogen', Z: 1, valence: 1, color: '#38bdf8' },
-  { symbol: 'C', name: 'Carbon', Z: 6, valence: 4, color: '#f97316' },
-  { symbol: 'N', name: 'Nitrogen', Z: 7, valence: 3, color: '#22c55e' },
-  { symbol: 'O', name: 'Oxygen', Z: 8, valence: 6, color: '#a855f7' },
-];
+// Covalent Builder UI: page layout, canvas rendering and pointer /
+// keyboard interaction on top of the simulation core (simulation.js).
+
+const {
+  ELEMENTS,
+  createSimulation,
+  lonePairCount,
+  formulaSymbol,
+  bondRuleFor,
+  isIonicPair,
+  spawnAtomFromElement,
+  findElement,
+  distance,
+  normalizeAngle,
+  electronPosition,
+  updateBonds,
+  atomById,
+  electronById,
+  onBondChange,
+  bondPairKey,
+  groupBondsByPair,
+  groupTransfersByPair,
+  formalCharges,
+  transferPosition,
+  sharedPairGeometry,
+  coulombForces,
+  bondDipoles,
+  partialCharges,
+  moleculeDipole,
+  bondInfo,
+  moleculeBondEnergy,
+  morseCurve,
+  morseEnergy,
+  reorientBondElectrons,
+  orientElectronsTowardNeighbors,
+  bondNeighbors,
+  moleculeNeighbors,
+  connectedAtomIds,
+  findMolecules,
+  formatFormula,
+  formatCharge,
+  describeMolecule,
+  checkOctets,
+  vseprShape,
+  relaxGeometry,
+  bondAngleDegrees,
+  serializeScene,
+  loadScene,
+} = window.CovalentSim;
+const { lewisSvg, formulaListText } = window.CovalentExport;
+const { toSmiles, toMolfile, parseSmiles, parseMolfile, spawnGraph } = window.CovalentFormats;
+const { validateChallengeSet, checkChallenge } = window.CovalentChallenges;
+const { MIN_ZOOM, toWorld, zoomViewAt, beginPinch, pinchView } = window.CovalentCamera;
 
 const canvas = document.createElement('canvas');
 const toolbar = document.createElement('div');
 const mainPanel = document.createElement('div');
 
 let ctx;
-let atoms = [];
-let bonds = [];
+const sim = createSimulation();
 let draggingAtomId = null;
 let dragOffset = { x: 0, y: 0 };
+let dragStart = null; // [{ atom, x, y }] for every atom moved by the drag
+let selectedAtomIds = new Set();
+let marquee = null; // rubber-band selection rectangle while dragging on empty space
+let moleculeDragEnabled = true; // drag whole molecules; Alt drags single atoms
+let vseprEnabled = false; // relax molecules toward VSEPR shapes each frame
+let shapeReadout = null;
+let rotation = null; // active rotation-handle drag
+let wheelRotation = null; // Shift+wheel rotation gesture, committed when idle
+
+const ROTATE_HANDLE_GAP = 26; // px above the selection's valence shells
+const ROTATE_HANDLE_RADIUS = 8;
+const WHEEL_ROTATE_SPEED = 0.004; // radians per wheel delta unit
+const WHEEL_ROTATE_COMMIT_MS = 300;
+
 let showForces = false;
-let nextId = 1;
-let needsBondReorientation = false;
+let coulombMode = false; // Show forces draws computed Coulomb forces instead of stylised arrows
+let showPolarity = false; // δ+/δ− labels, bond dipoles and net molecular dipoles
+
+// Ionic bonding: electrons given by a metal fly over to the non-metal
+// (and back when the ions are pulled apart).
+const TRANSFER_ANIMATION_MS = 700;
+const transferAnimations = new Map(); // electron id -> { transfer, start, returning }
+const DATIVE_ARROW_LENGTH = 12; // px either side of a dative pair
+
+// Bond playback: electrons ease into their bonding positions, a new
+// pair's glow grows in and a broken pair flashes out between its two
+// electrons. Slow motion stretches all of it, electron flights
+// included, so a teacher can narrate each step.
+const BOND_ANIMATION_MS = 450;
+const ELECTRON_EASE = 0.25; // fraction of the way to its target an electron moves per frame
+const SLOW_MOTION_FACTOR = 4;
+let slowMotion = false;
+const bondAnimations = new Map(); // bond id -> { bond, start, breaking }
 let activePointerId = null;
-
-// Controls how strongly electrons "turn" toward nearby atoms when
-// an atom is being dragged.
-const ELECTRON_ORIENT_SPEED = 0.08;
-const ELECTRON_ORIENT_RANGE = 80; // px around valence shell
+let moleculeReadout = null;
+let octetSummaryList = null;
+let octetSummaryKey = '';
+
+// Bond inspector: the shared pairs between two atoms, identified by
+// bondPairKey(), under the pointer or clicked on.
+const BOND_HIT_RADIUS = 9; // px around a shared pair's midpoint
+let hoveredBondKey = null;
+let selectedBondKey = null;
+let bondInspector = null;
+let bondInspectorKey = '';
+
+// Energy curve panel: the Morse potential of the atom pair being
+// dragged together, or of the inspected bond, with a marker at the
+// pair's current separation.
+const ENERGY_CURVE_RANGE = 160; // px: nearest partner considered while dragging
+const ENERGY_CURVE_WIDTH = 220;
+const ENERGY_CURVE_HEIGHT = 140;
+let energyCurve = null;
+let energyCurveKey = null;
+
+// Keyboard and screen-reader support: palette cards add atoms with
+// Enter, Tab walks through the atoms on the canvas, arrow keys move the
+// selection (a burst of presses is one undoable move) and a live region
+// announces bonds forming and breaking.
+const KEY_MOVE_STEP = 4; // px per arrow press, five times that with Shift
+const KEY_MOVE_COMMIT_MS = 400;
+const ARROW_STEPS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+};
+const FREE_SPOT_CLEARANCE = 130; // px from other atoms for keyboard-placed atoms
+const ANNOUNCE_SETTLE_MS = 300; // bonds must hold this long before they are announced
+const ANNOUNCE_MAX_CHANGES = 4; // more changes at once are summarised
+let keyMove = null;
+let liveRegion = null;
+let announcedBonds = null; // bondPairKey -> { a, b, order } as last announced
+let announceTimer = null;
+
+// Camera: atoms live in world coordinates and are drawn at
+// `screen = world * scale + (x, y)` (math in camera.js). Two fingers on
+// the canvas pan and pinch-zoom it.
+const ZOOM_STEP = 1.25; // toolbar zoom in / out factor
+const WHEEL_ZOOM_SPEED = 0.0015; // zoom factor exponent per wheel delta px
+const FIT_PADDING = 40; // screen px around the atoms for Fit all
+const view = { x: 0, y: 0, scale: 1 };
+const touchPoints = new Map(); // pointerId -> screen point of every touch on the canvas
+let pinch = null;
+let panDrag = null; // Space + drag or middle-button drag moving the view
+let spaceHeld = false;
+
+// Minimap: the whole workspace in the corner of the canvas with the
+// visible area outlined; click or drag on it to move the view.
+const MINIMAP_WIDTH = 160;
+const MINIMAP_HEIGHT = 110;
+let minimap = null;
+let minimapFrame = null; // world -> minimap mapping of the last drawn frame
+let minimapDrag = null; // pointerId dragging on the minimap
+
+// Palette cards are dragged with pointer events, since HTML5 drag and
+// drop does not work on touch screens. Tapping a card arms its element
+// instead; each tap on empty canvas then places one atom.
+const PALETTE_DRAG_THRESHOLD = 6; // px a press must move to become a drag
+let paletteDrag = null;
+let armed = null; // { element, card } while tap-to-place is active
+let pendingPlacement = null; // canvas tap that places the armed element on release
+
+// Scene persistence: the current canvas is mirrored to localStorage
+// and can be shared as a `#scene=` link.
+const SCENE_STORAGE_KEY = 'covalent-builder-scene';
+const SCENE_HASH_PREFIX = '#scene=';
+
+// Challenge mode: a set of targets from challenges.json (or a file a
+// teacher loads) checked against the scene whenever its bonds change.
+const CHALLENGES_URL = 'challenges.json';
+const challenge = {
+  enabled: false,
+  set: null,
+  index: 0,
+  attempts: 0,
+  complete: false,
+  sceneKey: '',
+  ui: null,
+};
+
+// Undo/redo history. Every user edit is recorded as a command holding
+// undo()/redo() closures; a new edit clears the redo stack.
+const HISTORY_LIMIT = 100;
+let undoStack = [];
+let redoStack = [];
+let undoBtn = null;
+let redoBtn = null;
 
 function createLayout() {
   const app = document.getElementById('app');
@@ -53,25 +216,75 @@ function createLayout() {
   resetBtn.className = 'primary';
   resetBtn.innerHTML = '<span class="icon-dot"></span><span>Clear canvas</span>';
   resetBtn.addEventListener('click', () => {
-    atoms = [];
-    bonds = [];
+    if (sim.atoms.length === 0) return;
+    recordCommand(removeAtomsCommand('clear canvas', sim.atoms.map((a) => a.id)));
   });
 
-  const forcesBtn = document.createElement('button');
-  forcesBtn.className = 'toggle';
-  forcesBtn.dataset.active = 'false';
-  const toggleDot = document.createElement('span');
-  toggleDot.className = 'toggle-dot';
-  const toggleLabel = document.createElement('span');
-  toggleLabel.textContent = 'Show forces';
-  forcesBtn.appendChild(toggleDot);
-  forcesBtn.appendChild(toggleLabel);
-  forcesBtn.addEventListener('click', () => {
-    showForces = !showForces;
-    forcesBtn.dataset.active = showForces ? 'true' : 'false';
+  const saveBtn = createControlButton('Save', downloadScene);
+
+  // Hidden file input backing the Load button.
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (file) loadSceneFromFile(file);
+  });
+  const loadBtn = createControlButton('Load', () => fileInput.click());
+
+  const linkBtn = createControlButton('Copy link', () => copySceneLink(linkBtn));
+
+  const pngBtn = createControlButton('PNG', exportPng);
+  pngBtn.title = 'Download a snapshot of the canvas';
+  const svgBtn = createControlButton('Lewis SVG', exportLewisSvg);
+  svgBtn.title = 'Download a Lewis diagram of the scene';
+  const textBtn = createControlButton('Formulas', exportFormulaText);
+  textBtn.title = 'Download the molecules built as plain text';
+
+  const forcesBtn = createToggleButton('Show forces', showForces, (active) => {
+    showForces = active;
+  });
+
+  const coulombBtn = createToggleButton('Coulomb model', coulombMode, (active) => {
+    coulombMode = active;
+    if (active && !showForces) forcesBtn.click();
+  });
+  coulombBtn.title = 'Show forces as computed attractions, repulsions and net force on each atom';
+
+  const polarityBtn = createToggleButton('Show polarity', showPolarity, (active) => {
+    showPolarity = active;
+  });
+  polarityBtn.title = 'Partial charges, bond dipoles and net molecular dipoles';
+
+  const moleculeDragBtn = createToggleButton('Move molecules', moleculeDragEnabled, (active) => {
+    moleculeDragEnabled = active;
   });
+  moleculeDragBtn.title = 'Drag whole molecules. Hold Alt while dragging to move a single atom.';
+
+  const challengeBtn = createToggleButton('Challenges', challenge.enabled, setChallengeMode);
+  challengeBtn.title = 'Guided targets with automatic checking and hints';
+
+  const vseprBtn = createToggleButton('VSEPR shapes', vseprEnabled, (active) => {
+    vseprEnabled = active;
+    if (!active) sceneChanged();
+  });
+  vseprBtn.title = 'Let molecules relax into their VSEPR shapes';
 
   controlsRow.appendChild(forcesBtn);
+  controlsRow.appendChild(coulombBtn);
+  controlsRow.appendChild(polarityBtn);
+  controlsRow.appendChild(moleculeDragBtn);
+  controlsRow.appendChild(vseprBtn);
+  controlsRow.appendChild(challengeBtn);
+  controlsRow.appendChild(saveBtn);
+  controlsRow.appendChild(loadBtn);
+  controlsRow.appendChild(linkBtn);
+  controlsRow.appendChild(pngBtn);
+  controlsRow.appendChild(svgBtn);
+  controlsRow.appendChild(textBtn);
+  controlsRow.appendChild(fileInput);
   controlsRow.appendChild(resetBtn);
 
   header.appendChild(titleBlock);
@@ -86,52 +299,38 @@ function createLayout() {
 
   const palette = document.createElement('div');
   palette.className = 'element-palette';
-  ELEMENTS.forEach((el) => {
-    const card = document.createElement('div');
-    card.className = 'element-card';
-    card.draggable = true;
-
-    const symbol = document.createElement('div');
-    symbol.className = 'element-symbol';
-    symbol.textContent = el.symbol;
-
-    const meta = document.createElement('div');
-    meta.className = 'element-meta';
-
-    const name = document.createElement('div');
-    name.className = 'element-name';
-    name.textContent = el.name;
-
-    const valence = document.createElement('div');
-    valence.className = 'element-valence-label';
-    valence.textContent = `Valence electrons: ${el.valence}`;
-
-    meta.appendChild(name);
-    meta.appendChild(valence);
-
-    card.appendChild(symbol);
-    card.appendChild(meta);
-
-    // Desktop drag and drop
-    card.addEventListener('dragstart', (e) => {
-      e.dataTransfer.setData('text/plain', JSON.stringify(el));
-    });
-
-    // NOTE: On mobile browsers, native HTML5 drag-and-drop from
-    // non-editable elements is often limited. If taps on the
-    // palette are creating extra atoms, remove the tap-to-spawn
-    // behavior and rely on direct canvas dragging only.
+  ELEMENTS.filter((el) => !el.metal).forEach((el) => palette.appendChild(createElementCard(el)));
+  sidebar.appendChild(palette);
 
-    palette.appendChild(card);
-  });
+  const metalsTitle = document.createElement('h2');
+  metalsTitle.textContent = 'Metals';
+  sidebar.appendChild(metalsTitle);
 
-  sidebar.appendChild(palette);
+  const metalPalette = document.createElement('div');
+  metalPalette.className = 'element-palette';
+  ELEMENTS.filter((el) => el.metal).forEach((el) => metalPalette.appendChild(createElementCard(el)));
+  sidebar.appendChild(metalPalette);
 
   const sidebarInfo = document.createElement('div');
   sidebarInfo.className = 'sidebar-section';
-  sidebarInfo.innerHTML = '<strong>How to use</strong><br/>Drag an element into the field, duplicate as needed, then bring valence shells close to form glowing shared pairs. Toggle forces to see electrostatic attractions.';
+  sidebarInfo.innerHTML = '<strong>How to use</strong><br/>Drag an element into the field (or tap it, then tap the field), duplicate as needed (select, then Ctrl+D), then bring valence shells close to form glowing shared pairs. Metals hand their electrons to a non-metal instead, leaving two oppositely charged ions. Click or drag a box to select atoms, Shift-click to add to the selection and Delete to remove them. Toggle forces to see electrostatic attractions. Keyboard: Enter on an element adds it, Tab moves between atoms on the canvas, arrow keys move the selected atom (Alt moves it out of its molecule).';
   sidebar.appendChild(sidebarInfo);
 
+  const octetSection = document.createElement('div');
+  octetSection.className = 'sidebar-section octet-summary';
+  const octetTitle = document.createElement('strong');
+  octetTitle.textContent = 'Octet check';
+  octetSummaryList = document.createElement('ul');
+  octetSummaryList.className = 'octet-list';
+  octetSection.appendChild(octetTitle);
+  octetSection.appendChild(octetSummaryList);
+  sidebar.appendChild(octetSection);
+
+  sidebar.appendChild(createChallengeSection());
+  sidebar.appendChild(createBondInspectorSection());
+  sidebar.appendChild(createEnergyCurveSection());
+  sidebar.appendChild(createFormatsSection());
+
   mainPanel.className = 'main-panel';
 
   toolbar.className = 'main-toolbar';
@@ -139,399 +338,481 @@ function createLayout() {
   tbLabel.textContent = 'Play area: drag atoms, overlap shells to bond';
   toolbar.appendChild(tbLabel);
 
+  const historyGroup = document.createElement('div');
+  historyGroup.className = 'toolbar-group';
+  undoBtn = createControlButton('Undo', undo);
+  undoBtn.title = 'Undo (Ctrl+Z)';
+  redoBtn = createControlButton('Redo', redo);
+  redoBtn.title = 'Redo (Ctrl+Shift+Z)';
+  historyGroup.appendChild(undoBtn);
+  historyGroup.appendChild(redoBtn);
+  toolbar.appendChild(historyGroup);
+
+  const viewGroup = document.createElement('div');
+  viewGroup.className = 'toolbar-group';
+  const zoomOutBtn = createControlButton('−', () => zoomBy(1 / ZOOM_STEP));
+  zoomOutBtn.title = 'Zoom out (or scroll)';
+  zoomOutBtn.setAttribute('aria-label', 'Zoom out');
+  const zoomInBtn = createControlButton('+', () => zoomBy(ZOOM_STEP));
+  zoomInBtn.title = 'Zoom in (or scroll)';
+  zoomInBtn.setAttribute('aria-label', 'Zoom in');
+  const fitBtn = createControlButton('Fit all', fitAll);
+  fitBtn.title = 'Show every atom. Hold Space and drag (or drag with the middle button) to pan.';
+  viewGroup.appendChild(zoomOutBtn);
+  viewGroup.appendChild(zoomInBtn);
+  viewGroup.appendChild(fitBtn);
+  toolbar.appendChild(viewGroup);
+
+  const playbackGroup = document.createElement('div');
+  playbackGroup.className = 'toolbar-group';
+  const slowMotionBtn = createToggleButton('Slow motion', slowMotion, (active) => {
+    slowMotion = active;
+  });
+  slowMotionBtn.title = `Play bonds forming and breaking ${SLOW_MOTION_FACTOR}× slower`;
+  playbackGroup.appendChild(slowMotionBtn);
+  toolbar.appendChild(playbackGroup);
+  updateHistoryButtons();
+
+  moleculeReadout = document.createElement('span');
+  moleculeReadout.className = 'molecule-readout';
+  moleculeReadout.textContent = 'No molecules yet';
+  toolbar.appendChild(moleculeReadout);
+
+  shapeReadout = document.createElement('span');
+  shapeReadout.className = 'shape-readout';
+  shapeReadout.hidden = true;
+  toolbar.appendChild(shapeReadout);
+
   canvas.id = 'builder-canvas';
+  canvas.tabIndex = 0;
+  canvas.setAttribute('role', 'application');
+  canvas.setAttribute(
+    'aria-label',
+    'Play area. Tab moves between atoms, arrow keys move the selected atom (Shift for bigger steps, Alt to move it out of its molecule), Delete removes it.'
+  );
+
+  liveRegion = document.createElement('div');
+  liveRegion.className = 'sr-only';
+  liveRegion.setAttribute('role', 'status');
+  liveRegion.setAttribute('aria-live', 'polite');
 
   mainPanel.appendChild(toolbar);
   mainPanel.appendChild(canvas);
+  mainPanel.appendChild(createMinimap());
+  mainPanel.appendChild(liveRegion);
 
   app.appendChild(header);
   app.appendChild(sidebar);
   app.appendChild(mainPanel);
 }
 
-function resizeCanvas() {
-  const rect = canvas.getBoundingClientRect();
-  canvas.width = rect.width * window.devicePixelRatio;
-  canvas.height = rect.height * window.devicePixelRatio;
-  ctx = canvas.getContext('2d');
-  ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
-}
-
-function spawnAtomFromElement(el, x, y) {
-  const id = nextId++;
-  const radiusCore = 10;
-  const radiusValence = 32;
-  const electrons = [];
-  const angleStep = (Math.PI * 2) / el.valence;
-  for (let i = 0; i < el.valence; i++) {
-    electrons.push({
-      id: `${id}-e${i}`,
-      baseAngle: i * angleStep,
-      angleOffset: 0,
-      bondedTo: null,
-    });
-  }
-  atoms.push({
-    id,
-    element: el,
-    x,
-    y,
-    radiusCore,
-    radiusValence,
-    electrons,
-  });
-}
-
-function distance(a, b) {
-  const dx = a.x - b.x;
-  const dy = a.y - b.y;
-  return Math.sqrt(dx * dx + dy * dy);
-}
-
-function updateBonds() {
-  bonds = [];
-  const maxPairDistance = 30;
-
-  // Track which electrons are already engaged in bonds so we can
-  // respect valence limits (e.g., carbon can use all 4 electrons).
-  const usedElectronIds = new Set();
-
-  for (let i = 0; i < atoms.length; i++) {
-    for (let j = i + 1; j < atoms.length; j++) {
-      const a = atoms[i];
-      const b = atoms[j];
-      const baseAngleA = Math.atan2(b.y - a.y, b.x - a.x);
-      const baseAngleB = Math.atan2(a.y - b.y, a.x - b.x);
-
-      // Determine desired number of bond pairs between this atom pair.
-      const isCOPair =
-        (a.element.symbol === 'C' && b.element.symbol === 'O') ||
-        (a.element.symbol === 'O' && b.element.symbol === 'C');
-      const isOOPair = a.element.symbol === 'O' && b.element.symbol === 'O';
-      const isCHPair =
-        (a.element.symbol === 'C' && b.element.symbol === 'H') ||
-        (a.element.symbol === 'H' && b.element.symbol === 'C');
-
-      // Default desired bond pairs between two atoms. C–O and O–O
-      // can form double bonds; C–H stays as a single bond but we
-      // will happily form up to four separate C–H bonds overall as
-      // long as carbon still has spare electrons.
-      const desiredPairs = isCOPair || isOOPair ? 2 : 1;
-
-      // Attempt to create up to desiredPairs separate electron pairs
-      // for this atom pair, respecting available valence electrons.
-      for (let pairIndex = 0; pairIndex < desiredPairs; pairIndex++) {
-        let availableA = a.electrons.filter((e) => !usedElectronIds.has(e.id));
-        let availableB = b.electrons.filter((e) => !usedElectronIds.has(e.id));
-        if (availableA.length === 0 || availableB.length === 0) break;
-
-        // For C–O and O–O, we want robust double bonds: always pick
-        // the electrons that are best aligned with the internuclear
-        // axis and explicitly steer the second pair into place.
-        // Special case: when bonding carbon with hydrogen we want
-        // hydrogens to grab any remaining carbon electrons, so we
-        // favour choosing the electron on carbon that is closest to
-        // the approaching hydrogen, and the hydrogen electron
-        // nearest to carbon.
-        const sortedA = availableA
-          .map((e) => ({ e, score: Math.abs(normalizeAngle(e.baseAngle - baseAngleA)) }))
-          .sort((p, q) => p.score - q.score);
-        const sortedB = availableB
-          .map((e) => ({ e, score: Math.abs(normalizeAngle(e.baseAngle - baseAngleB)) }))
-          .sort((p, q) => p.score - q.score);
-
-        const eA = sortedA[0].e;
-        const eB = sortedB[0].e;
-
-        const posA = electronPosition(a, eA);
-        const posB = electronPosition(b, eB);
-        const withinRange = distance(posA, posB) <= maxPairDistance;
-
-        if (!withinRange && pairIndex === 0) {
-          // If even the first candidate pair is too far, no bond.
-          break;
-        }
-
-        // For first pair in a double bond, enforce distance; for
-        // the second pair on C–O / O–O, allow creation as long as
-        // atoms are generally close enough.
-        if (withinRange || (pairIndex === 1 && (isCOPair || isOOPair))) {
-          bonds.push({
-            id: `${a.id}-${b.id}-${eA.id}-${eB.id}`,
-            aId: a.id,
-            bId: b.id,
-            eAId: eA.id,
-            eBId: eB.id,
-          });
-          usedElectronIds.add(eA.id);
-          usedElectronIds.add(eB.id);
-        } else {
-          break;
-        }
-      }
-    }
+function createElementCard(el) {
+  const card = document.createElement('div');
+  card.className = 'element-card';
+  card.tabIndex = 0;
+  card.setAttribute('role', 'button');
+  card.setAttribute('aria-pressed', 'false');
+
+  const symbol = document.createElement('div');
+  symbol.className = 'element-symbol';
+  symbol.textContent = el.charge ? formulaSymbol(el) + formatCharge(el.charge) : el.symbol;
+  if (el.bondingCapacity === 0 && !el.charge) card.classList.add('noble-gas');
+  if (el.metal) card.classList.add('metal');
+
+  const meta = document.createElement('div');
+  meta.className = 'element-meta';
+
+  const name = document.createElement('div');
+  name.className = 'element-name';
+  name.textContent = el.name;
+
+  const valence = document.createElement('div');
+  valence.className = 'element-valence-label';
+  valence.textContent = `Valence electrons: ${el.valence}`;
+
+  const lonePairs = lonePairCount(el);
+  const capacity = document.createElement('div');
+  capacity.className = 'element-valence-label';
+  if (el.metal) {
+    capacity.textContent = `Gives away ${el.valence} electron${el.valence === 1 ? '' : 's'} · ionic`;
+  } else if (el.charge) {
+    capacity.textContent = 'Empty shell · takes a lone pair';
+  } else if (el.bondingCapacity === 0) {
+    capacity.textContent = 'Full shell · does not bond';
+  } else {
+    const bondsText = `${el.bondingCapacity} bond${el.bondingCapacity === 1 ? '' : 's'}`;
+    const pairsText = `${lonePairs} lone pair${lonePairs === 1 ? '' : 's'}`;
+    capacity.textContent = `${bondsText} · ${pairsText}`;
   }
-}
 
-function reorientBondElectrons() {
-  if (bonds.length === 0) return;
-
-  // Group bonds by atom pair so we can treat double bonds specially.
-  const groupedByPair = new Map();
-  bonds.forEach((b) => {
-    const key = b.aId < b.bId ? `${b.aId}-${b.bId}` : `${b.bId}-${b.aId}`;
-    if (!groupedByPair.has(key)) groupedByPair.set(key, []);
-    groupedByPair.get(key).push(b);
-  });
-
-  groupedByPair.forEach((pairBonds) => {
-    const b0 = pairBonds[0];
-    const a = atoms.find((x) => x.id === b0.aId);
-    const c = atoms.find((x) => x.id === b0.bId);
-    if (!a || !c) return;
-
-    const angleAC = Math.atan2(c.y - a.y, c.x - a.x);
-    const angleCA = Math.atan2(a.y - c.y, a.x - c.x);
-
-    const isCOorOO =
-      (a.element.symbol === 'C' && c.element.symbol === 'O') ||
-      (a.element.symbol === 'O' && c.element.symbol === 'C') ||
-      (a.element.symbol === 'O' && c.element.symbol === 'O');
-
-    // For C=O and O=O we want exactly two shared
-    // electron pairs in the double-bond region. If more
-    // than two bonds have been created numerically for
-    // this pair (e.g. due to geometry/distance quirks),
-    // we still only treat the closest two as the visual
-    // double bond and push any others back toward the
-    // lone‑pair side so they don't "sit" in between.
-    if (isCOorOO && pairBonds.length >= 2) {
-      // Arrange two electron pairs symmetrically around bond axis
-      // to give a clear double-bond look.
-      const offset = 0.25; // radians
-      const anglesA = [angleAC - offset, angleAC + offset];
-      const anglesC = [angleCA + offset, angleCA - offset];
-
-      // Sort bonds for this pair by how close their current
-      // electron positions already are to the ideal double‑bond
-      // directions, then pick the best two as the double bond.
-      const scored = pairBonds.map((b) => {
-        const eA = a.electrons.find((e) => e.id === b.eAId);
-        const eC = c.electrons.find((e) => e.id === b.eBId);
-        if (!eA || !eC) {
-          return { b, score: Number.POSITIVE_INFINITY };
-        }
-        const angA = normalizeAngle(eA.baseAngle + eA.angleOffset);
-        const angC = normalizeAngle(eC.baseAngle + eC.angleOffset);
-        const targetA = angleAC;
-        const targetC = angleCA;
-        const score =
-          Math.abs(normalizeAngle(angA - targetA)) +
-          Math.abs(normalizeAngle(angC - targetC));
-        return { b, score };
-      });
+  meta.appendChild(name);
+  meta.appendChild(valence);
+  meta.appendChild(capacity);
 
-      scored.sort((p, q) => p.score - q.score);
-      const firstTwo = scored.slice(0, 2).map((s) => s.b);
+  card.appendChild(symbol);
+  card.appendChild(meta);
+  card.setAttribute('aria-label', `Add ${el.name}. ${valence.textContent}. ${capacity.textContent.replace(' · ', ', ')}.`);
 
-      firstTwo.forEach((b, idx) => {
-        const eA = a.electrons.find((e) => e.id === b.eAId);
-        const eC = c.electrons.find((e) => e.id === b.eBId);
-        if (!eA || !eC) return;
+  // Keyboard: Enter or Space places the atom in a free spot.
+  card.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' && e.key !== ' ') return;
+    e.preventDefault();
+    placeAtomFromKeyboard(el);
+  });
 
-        eA.angleOffset = normalizeAngle(anglesA[idx] - eA.baseAngle);
-        eC.angleOffset = normalizeAngle(anglesC[idx] - eC.baseAngle);
-      });
+  setupPaletteCardPointer(card, el);
 
-      if (pairBonds.length > 2) {
-        pairBonds
-          .filter((b) => !firstTwo.includes(b))
-          .forEach((b) => {
-          const eA = a.electrons.find((e) => e.id === b.eAId);
-          const eC = c.electrons.find((e) => e.id === b.eBId);
-          if (!eA || !eC) return;
-
-          // Push extra bonds slightly away from the central
-          // double‑bond region so they visually rejoin the
-          // lone‑pair area instead of appearing as a third
-          // shared electron.
-          const extraOffset = 0.9;
-          eA.angleOffset = normalizeAngle(angleAC + extraOffset - eA.baseAngle);
-          eC.angleOffset = normalizeAngle(angleCA - extraOffset - eC.baseAngle);
-        });
-      }
-    } else {
-      // Single bond: align electrons exactly on bond axis.
-      pairBonds.forEach((b) => {
-        const eA = a.electrons.find((e) => e.id === b.eAId);
-        const eC = c.electrons.find((e) => e.id === b.eBId);
-        if (!eA || !eC) return;
-
-        eA.angleOffset = normalizeAngle(angleAC - eA.baseAngle);
-        eC.angleOffset = normalizeAngle(angleCA - eC.baseAngle);
-      });
-    }
-  });
+  return card;
+}
 
-  // After aligning bonding electrons, redistribute all other electrons
-  // on each involved atom so that they are evenly spaced (max arc).
-  const involvedAtomIds = new Set();
-  bonds.forEach((b) => {
-    involvedAtomIds.add(b.aId);
-    involvedAtomIds.add(b.bId);
+function createChallengeSection() {
+  const section = document.createElement('div');
+  section.className = 'sidebar-section challenge-panel';
+  section.hidden = true;
+
+  const progress = document.createElement('div');
+  progress.className = 'challenge-progress';
+  const prompt = document.createElement('strong');
+  prompt.className = 'challenge-prompt';
+  const status = document.createElement('div');
+  status.className = 'challenge-status';
+  const hint = document.createElement('div');
+  hint.className = 'challenge-hint';
+  hint.hidden = true;
+
+  const checkBtn = createControlButton('Check', checkCurrentChallenge);
+  const nextBtn = createControlButton('Next', nextChallenge);
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (file) loadChallengeFile(file);
   });
+  const loadBtn = createControlButton('Load set', () => fileInput.click());
+  loadBtn.title = 'Load a challenge set JSON file';
+
+  const buttons = document.createElement('div');
+  buttons.className = 'toolbar-group';
+  buttons.appendChild(checkBtn);
+  buttons.appendChild(nextBtn);
+  buttons.appendChild(loadBtn);
+
+  section.appendChild(progress);
+  section.appendChild(prompt);
+  section.appendChild(status);
+  section.appendChild(hint);
+  section.appendChild(buttons);
+  section.appendChild(fileInput);
+  challenge.ui = { section, progress, prompt, status, hint, checkBtn, nextBtn };
+  return section;
+}
 
-  involvedAtomIds.forEach((atomId) => {
-    const atom = atoms.find((a) => a.id === atomId);
-    if (!atom) return;
+function createBondInspectorSection() {
+  const section = document.createElement('div');
+  section.className = 'sidebar-section bond-inspector';
+  const title = document.createElement('strong');
+  title.textContent = 'Bond inspector';
+  const details = document.createElement('div');
+  details.className = 'bond-details';
+  const energyTitle = document.createElement('div');
+  energyTitle.className = 'bond-energy-title';
+  energyTitle.textContent = 'Energy to break all bonds (approx.)';
+  energyTitle.hidden = true;
+  const energies = document.createElement('ul');
+  energies.className = 'octet-list bond-energy-list';
+
+  section.appendChild(title);
+  section.appendChild(details);
+  section.appendChild(energyTitle);
+  section.appendChild(energies);
+  bondInspector = { details, energyTitle, energies };
+  return section;
+}
 
-    const bondedElectronIds = new Set();
-    bonds.forEach((b) => {
-      if (b.aId === atomId) bondedElectronIds.add(b.eAId);
-      if (b.bId === atomId) bondedElectronIds.add(b.eBId);
-    });
+function createEnergyCurveSection() {
+  const section = document.createElement('div');
+  section.className = 'sidebar-section energy-curve';
+  const title = document.createElement('strong');
+  title.textContent = 'Energy curve';
+  const plot = document.createElement('canvas');
+  plot.className = 'energy-curve-plot';
+  plot.width = ENERGY_CURVE_WIDTH * window.devicePixelRatio;
+  plot.height = ENERGY_CURVE_HEIGHT * window.devicePixelRatio;
+  plot.style.width = `${ENERGY_CURVE_WIDTH}px`;
+  plot.style.height = `${ENERGY_CURVE_HEIGHT}px`;
+  plot.hidden = true;
+  const caption = document.createElement('div');
+  caption.className = 'energy-curve-caption';
+
+  section.appendChild(title);
+  section.appendChild(plot);
+  section.appendChild(caption);
+  energyCurve = { plot, caption };
+  return section;
+}
 
-    const bondedElectrons = atom.electrons.filter((e) => bondedElectronIds.has(e.id));
-  const loneElectrons = atom.electrons.filter((e) => !bondedElectronIds.has(e.id));
+// SMILES and MOL import/export for exchanging molecules with other
+// chemistry software.
+function createFormatsSection() {
+  const section = document.createElement('div');
+  section.className = 'sidebar-section formats';
+  const title = document.createElement('strong');
+  title.textContent = 'SMILES / MOL';
+
+  const smilesInput = document.createElement('input');
+  smilesInput.type = 'text';
+  smilesInput.className = 'smiles-input';
+  smilesInput.placeholder = 'e.g. O=C=O or CC(=O)O';
+  smilesInput.spellcheck = false;
+  const addSmiles = () => {
+    if (importGraph(() => parseSmiles(smilesInput.value), 'add SMILES')) smilesInput.value = '';
+  };
+  smilesInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') addSmiles();
+  });
 
-  if (loneElectrons.length === 0) return;
+  const addBtn = createControlButton('Add', addSmiles);
+  const getBtn = createControlButton('Scene SMILES', () => {
+    smilesInput.value = toSmiles(sim);
+    smilesInput.select();
+  });
 
-    // Compute the current angle of each bonded electron and find the largest gap
-    const bondedAngles = bondedElectrons.map((e) => {
-      return normalizeAngle(e.baseAngle + e.angleOffset);
-    });
+  // Hidden file input backing the MOL import button.
+  const molInput = document.createElement('input');
+  molInput.type = 'file';
+  molInput.accept = '.mol,chemical/x-mdl-molfile';
+  molInput.hidden = true;
+  molInput.addEventListener('change', () => {
+    const file = molInput.files && molInput.files[0];
+    molInput.value = '';
+    if (file) importMolFile(file);
+  });
+  const importBtn = createControlButton('Import MOL', () => molInput.click());
+  const exportBtn = createControlButton('Export MOL', () => {
+    downloadBlob(new Blob([toMolfile(sim)], { type: 'chemical/x-mdl-molfile' }), 'covalent-scene.mol');
+  });
 
-    bondedAngles.sort((a, b) => a - b);
+  const buttons = document.createElement('div');
+  buttons.className = 'toolbar-group';
+  buttons.appendChild(addBtn);
+  buttons.appendChild(getBtn);
+  const molButtons = document.createElement('div');
+  molButtons.className = 'toolbar-group';
+  molButtons.appendChild(importBtn);
+  molButtons.appendChild(exportBtn);
+
+  section.appendChild(title);
+  section.appendChild(smilesInput);
+  section.appendChild(buttons);
+  section.appendChild(molButtons);
+  section.appendChild(molInput);
+  return section;
+}
 
-    let startAngle;
-    if (bondedAngles.length === 0) {
-      startAngle = 0;
-    } else if (bondedAngles.length === 1) {
-      // Place lone electrons on the opposite side of the bond
-      startAngle = normalizeAngle(bondedAngles[0] + Math.PI);
-    } else {
-      // Find largest gap between consecutive bonded electrons on the circle
-      let maxGap = -Infinity;
-      let bestStart = bondedAngles[0];
-      for (let i = 0; i < bondedAngles.length; i++) {
-        const a1 = bondedAngles[i];
-        const a2 = bondedAngles[(i + 1) % bondedAngles.length];
-        let gap = a2 - a1;
-        if (i === bondedAngles.length - 1) {
-          gap = (bondedAngles[0] + Math.PI * 2) - a1;
-        }
-        if (gap > maxGap) {
-          maxGap = gap;
-          bestStart = a1;
-        }
-      }
-      // Start in the middle of the largest gap
-      startAngle = normalizeAngle(bestStart + maxGap / 2);
-    }
-
-    const loneStep = (Math.PI * 2) / loneElectrons.length;
-
-    // If there is an odd lone electron (e.g. after a single O–O
-    // bond where one of oxygen's electrons is still unpaired), try
-    // to "pair it up" by putting it directly opposite the bonded
-    // region, then distribute the rest around that axis.
-    if (loneElectrons.length % 2 === 1 && bondedElectrons.length > 0) {
-      const axis = startAngle;
-      // Put one electron on the axis and distribute remaining ones
-      // symmetrically around it.
-      loneElectrons.forEach((e, index) => {
-        const offsetIndex = index - (loneElectrons.length - 1) / 2;
-        const targetAngle = normalizeAngle(axis + offsetIndex * loneStep);
-        e.angleOffset = normalizeAngle(targetAngle - e.baseAngle);
-      });
-    } else {
-      loneElectrons.forEach((e, index) => {
-        const targetAngle = normalizeAngle(startAngle + index * loneStep);
-        e.angleOffset = normalizeAngle(targetAngle - e.baseAngle);
-      });
-    }
+function createToggleButton(label, initiallyActive, onChange) {
+  const btn = document.createElement('button');
+  btn.className = 'toggle';
+  btn.dataset.active = initiallyActive ? 'true' : 'false';
+  btn.setAttribute('aria-pressed', btn.dataset.active);
+  const toggleDot = document.createElement('span');
+  toggleDot.className = 'toggle-dot';
+  const toggleLabel = document.createElement('span');
+  toggleLabel.textContent = label;
+  btn.appendChild(toggleDot);
+  btn.appendChild(toggleLabel);
+  btn.addEventListener('click', () => {
+    const active = btn.dataset.active !== 'true';
+    btn.dataset.active = active ? 'true' : 'false';
+    btn.setAttribute('aria-pressed', btn.dataset.active);
+    onChange(active);
   });
+  return btn;
+}
 
-  needsBondReorientation = false;
+function createControlButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'secondary';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
 }
 
-function normalizeAngle(a) {
-  while (a > Math.PI) a -= Math.PI * 2;
-  while (a < -Math.PI) a += Math.PI * 2;
-  return a;
+// The world point at the centre of the view stays there, so a resize
+// never strands atoms outside the canvas.
+function resizeCanvas() {
+  const center = ctx ? viewCenter() : null;
+  const rect = canvas.getBoundingClientRect();
+  canvas.width = rect.width * window.devicePixelRatio;
+  canvas.height = rect.height * window.devicePixelRatio;
+  if (center) {
+    view.x = rect.width / 2 - center.x * view.scale;
+    view.y = rect.height / 2 - center.y * view.scale;
+  }
+  ctx = canvas.getContext('2d');
+  ctx.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
 }
 
-function electronPosition(atom, e) {
-  const angle = e.baseAngle + e.angleOffset;
-  const ex = atom.x + Math.cos(angle) * atom.radiusValence;
-  const ey = atom.y + Math.sin(angle) * atom.radiusValence;
-  return { x: ex, y: ey };
+function updateMoleculeReadout(molecules) {
+  if (!moleculeReadout) return;
+  const text =
+    molecules.length === 0
+      ? 'No molecules yet'
+      : `Built: ${molecules.map(describeMolecule).join(', ')}`;
+  // Only touch the DOM when the description actually changes.
+  if (moleculeReadout.textContent !== text) moleculeReadout.textContent = text;
 }
 
-function orientElectronsTowardNeighbors() {
-  if (!draggingAtomId) return;
-  const dragged = atoms.find((a) => a.id === draggingAtomId);
-  if (!dragged) return;
+function drawMoleculeLabel(molecule) {
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  molecule.atoms.forEach((a) => {
+    minX = Math.min(minX, a.x - a.radiusValence);
+    maxX = Math.max(maxX, a.x + a.radiusValence);
+    maxY = Math.max(maxY, a.y + a.radiusValence);
+  });
 
-  atoms.forEach((other) => {
-    if (other.id === dragged.id) return;
-    const d = distance(dragged, other);
-    if (d > ELECTRON_ORIENT_RANGE) return;
+  let label = describeMolecule(molecule);
+  if (showPolarity) label += moleculeDipole(sim, molecule).polar ? ' · polar' : ' · non-polar';
+  const x = (minX + maxX) / 2;
+  const y = maxY + 16;
 
-    const axisAngle = Math.atan2(other.y - dragged.y, other.x - dragged.x);
-    const draggedIsOxygen = dragged.element.symbol === 'O';
-    const otherIsCO = other.element.symbol === 'C' || other.element.symbol === 'O';
+  ctx.font = '600 12px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const width = ctx.measureText(label).width + 16;
 
-    if (draggedIsOxygen && otherIsCO) {
-      // Oxygen near C or O: tilt TWO electrons toward the neighbor
-      // with a slight angular separation to hint at a double bond.
-      const sorted = dragged.electrons
-        .map((e) => {
-          const current = normalizeAngle(e.baseAngle + e.angleOffset);
-          const score = Math.abs(normalizeAngle(axisAngle - current));
-          return { e, current, score };
-        })
-        .sort((p, q) => p.score - q.score);
+  ctx.fillStyle = 'rgba(15, 23, 42, 0.85)';
+  ctx.strokeStyle = molecule.name ? 'rgba(34, 197, 94, 0.8)' : 'rgba(148, 163, 184, 0.6)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.rect(x - width / 2, y - 10, width, 20);
+  ctx.fill();
+  ctx.stroke();
 
-      const first = sorted[0];
-      const second = sorted[1] || null;
+  ctx.fillStyle = molecule.name ? '#bbf7d0' : '#e5e7eb';
+  ctx.fillText(label, x, y);
+}
 
-      if (first) {
-        let delta1 = normalizeAngle(axisAngle - first.current);
-        delta1 *= ELECTRON_ORIENT_SPEED;
-        first.e.angleOffset = normalizeAngle(first.e.angleOffset + delta1);
-      }
+function updateOctetSummary(statuses) {
+  if (!octetSummaryList) return;
+  const incomplete = statuses.filter((s) => !s.complete);
+  const key = statuses.length === 0
+    ? 'empty'
+    : incomplete.map((s) => `${s.atom.id}:${s.count}`).join('|') || 'complete';
+  // Rebuilding the list every frame would reset hover/scroll state.
+  if (key === octetSummaryKey) return;
+  octetSummaryKey = key;
+
+  octetSummaryList.innerHTML = '';
+  const addItem = (text, className) => {
+    const li = document.createElement('li');
+    li.className = className;
+    li.textContent = text;
+    octetSummaryList.appendChild(li);
+  };
+
+  if (statuses.length === 0) {
+    addItem('Add atoms to check their valence shells.', 'octet-empty');
+    return;
+  }
+  if (incomplete.length === 0) {
+    addItem('Every atom has a full valence shell.', 'octet-complete');
+    return;
+  }
+  incomplete.forEach((s) => {
+    const shell = s.target === 2 ? 'duet' : 'octet';
+    if (s.surplus) {
+      const given = s.surplus === 1 ? 'electron' : 'electrons';
+      addItem(`${s.atom.element.name} #${s.atom.id}: ${s.surplus} ${given} to give away for a full ${shell}`, 'octet-incomplete');
+      return;
+    }
+    const plural = s.missing === 1 ? 'electron' : 'electrons';
+    addItem(
+      `${s.atom.element.name} #${s.atom.id}: ${s.count}/${s.target}, needs ${s.missing} more ${plural} for a full ${shell}`,
+      'octet-incomplete'
+    );
+  });
+}
 
-      if (second) {
-        // Offset the second electron slightly around the axis to
-        // create an alternating/double-bond look.
-        const offsetAxis = axisAngle + (second.score >= 0 ? 0.3 : -0.3);
-        let delta2 = normalizeAngle(offsetAxis - second.current);
-        delta2 *= ELECTRON_ORIENT_SPEED;
-        second.e.angleOffset = normalizeAngle(second.e.angleOffset + delta2);
-      }
-    } else {
-      // Default: only the single closest electron rotates toward
-      // the neighbor, keeping the rest stable.
-      let bestElectron = null;
-      let bestScore = Infinity;
-      dragged.electrons.forEach((e) => {
-        const current = normalizeAngle(e.baseAngle + e.angleOffset);
-        const score = Math.abs(normalizeAngle(axisAngle - current));
-        if (score < bestScore) {
-          bestScore = score;
-          bestElectron = e;
-        }
+function drawOctetStatus(status) {
+  const { atom } = status;
+  const ringRadius = atom.radiusValence + 7;
+
+  ctx.lineWidth = 2;
+  ctx.strokeStyle = status.complete ? 'rgba(34, 197, 94, 0.55)' : 'rgba(251, 146, 60, 0.9)';
+  ctx.beginPath();
+  ctx.arc(atom.x, atom.y, ringRadius, 0, Math.PI * 2);
+  ctx.stroke();
+
+  if (status.complete) return;
+
+  // Badge with the number of electrons still missing.
+  const bx = atom.x + ringRadius * Math.cos(-Math.PI / 4);
+  const by = atom.y + ringRadius * Math.sin(-Math.PI / 4);
+  ctx.fillStyle = '#f97316';
+  ctx.beginPath();
+  ctx.arc(bx, by, 9, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#0f172a';
+  ctx.font = 'bold 10px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  // Metals show the electrons they still have to give away.
+  ctx.fillText(status.surplus ? `+${status.surplus}` : `-${status.missing}`, bx, by);
+}
+
+// Atoms that the user is currently moving by hand stay where they are.
+function pinnedAtomIds() {
+  const pinned = new Set();
+  (dragStart || []).forEach((s) => pinned.add(s.atom.id));
+  if (rotation) rotation.snapshot.forEach((s) => pinned.add(s.atom.id));
+  if (wheelRotation) wheelRotation.snapshot.forEach((s) => pinned.add(s.atom.id));
+  return pinned;
+}
+
+// Shape summary for the molecule containing the first selected atom,
+// e.g. "Water: Bent, H–O–H 104.5° (now 104°)".
+function describeSelectedShape(molecules) {
+  const first = selectedAtoms()[0];
+  if (!first) return 'Select a molecule to see its VSEPR shape';
+  const molecule = molecules.find((m) => m.atoms.includes(first));
+  if (!molecule) return `${first.element.name} atom: not bonded`;
+
+  const title = molecule.name || formatFormula(molecule.displayFormula) + formatCharge(molecule.charge);
+  if (molecule.ionic) return `${title}: ionic, held together by attraction rather than shaped bonds`;
+  if (molecule.atoms.length === 2) return `${title}: Linear (diatomic)`;
+
+  const neighbors = bondNeighbors(sim);
+  const byId = new Map(sim.atoms.map((a) => [a.id, a]));
+  const parts = molecule.atoms
+    .filter((a) => neighbors.get(a.id).size >= 2)
+    .map((center) => {
+      const around = [...neighbors.get(center.id)].map((id) => byId.get(id));
+      const shape = vseprShape(sim, center, around.length);
+      const [n1, n2] = around;
+      const label = [n1, center, n2].map((a) => formulaSymbol(a.element)).join('–');
+      let measured = Infinity;
+      around.forEach((p, i) => {
+        around.slice(i + 1).forEach((q) => {
+          measured = Math.min(measured, bondAngleDegrees(center, p, q));
+        });
       });
+      const note = shape.gaps[0] !== shape.angle ? 'flat projection, ' : '';
+      return `${shape.name} at ${center.element.symbol}, ${label} ${shape.angle}° (${note}now ${Math.round(measured)}°)`;
+    });
+  return `${title}: ${parts.join('; ')}`;
+}
 
-      if (bestElectron) {
-        const current = normalizeAngle(bestElectron.baseAngle + bestElectron.angleOffset);
-        let delta = normalizeAngle(axisAngle - current);
-        delta *= ELECTRON_ORIENT_SPEED;
-        bestElectron.angleOffset = normalizeAngle(bestElectron.angleOffset + delta);
-      }
-    }
-  });
+function updateShapeReadout(molecules) {
+  if (!shapeReadout) return;
+  shapeReadout.hidden = !vseprEnabled;
+  if (!vseprEnabled) return;
+  const text = describeSelectedShape(molecules);
+  if (shapeReadout.textContent !== text) shapeReadout.textContent = text;
 }
 
 function render() {
@@ -539,6 +820,7 @@ function render() {
   const w = canvas.width / window.devicePixelRatio;
   const h = canvas.height / window.devicePixelRatio;
 
+  useScreenTransform();
   ctx.clearRect(0, 0, w, h);
 
   const gradientBg = ctx.createRadialGradient(w / 2, h / 2, 0, w / 2, h / 2, Math.max(w, h));
@@ -546,45 +828,53 @@ function render() {
   gradientBg.addColorStop(1, 'rgba(0,0,0,0.9)');
   ctx.fillStyle = gradientBg;
   ctx.fillRect(0, 0, w, h);
+  useWorldTransform();
 
   // While dragging an atom, gently rotate its electrons so they
   // orient toward nearby atoms/electrons to give a sense of
   // dynamic electron-cloud interaction before the bond snaps.
-  orientElectronsTowardNeighbors();
+  orientElectronsTowardNeighbors(sim, draggingAtomId);
+
+  // Optional VSEPR mode: nudge bonded atoms toward their ideal shape.
+  if (vseprEnabled) relaxGeometry(sim, pinnedAtomIds());
 
   // Reorient electrons on newly formed or adjusted bonds so that
   // nucleus – covalent pair – nucleus lies along a straight line.
-  reorientBondElectrons();
-
-  updateBonds();
-
-  bonds.forEach((b) => {
-    const a = atoms.find((x) => x.id === b.aId);
-    const c = atoms.find((x) => x.id === b.bId);
-    if (!a || !c) return;
-    const eA = a.electrons.find((e) => e.id === b.eAId);
-    const eB = c.electrons.find((e) => e.id === b.eBId);
-    if (!eA || !eB) return;
-
-    const pA = electronPosition(a, eA);
-    const pB = electronPosition(c, eB);
-    const mid = { x: (pA.x + pB.x) / 2, y: (pA.y + pB.y) / 2 };
-
-    const g = ctx.createRadialGradient(mid.x, mid.y, 0, mid.x, mid.y, 26);
-    g.addColorStop(0, 'rgba(251, 191, 36, 0.4)');
+  reorientBondElectrons(sim, slowMotion ? ELECTRON_EASE / SLOW_MOTION_FACTOR : ELECTRON_EASE);
+
+  updateBonds(sim);
+
+  drawBreakingBonds();
+
+  const bondedElectronIds = new Set();
+  sim.bonds.forEach((b) => {
+    const pair = sharedPairGeometry(sim, b);
+    if (!pair) return;
+    const { a, c, pA, pB, mid } = pair;
+    bondedElectronIds.add(b.eAId);
+    bondedElectronIds.add(b.eBId);
+
+    // A forming pair's glow grows in, with a bright flash at its peak.
+    const t = bondAnimationProgress(b.id, false);
+    const grow = t === null ? 1 : t * t * (3 - 2 * t);
+    const flash = t === null ? 0 : Math.sin(t * Math.PI) * 0.35;
+    const glowRadius = Math.max(1, 26 * grow);
+    const g = ctx.createRadialGradient(mid.x, mid.y, 0, mid.x, mid.y, glowRadius);
+    g.addColorStop(0, `rgba(251, 191, 36, ${0.4 + flash})`);
     g.addColorStop(0.5, 'rgba(251, 191, 36, 0.18)');
     g.addColorStop(1, 'rgba(0,0,0,0)');
     ctx.fillStyle = g;
     ctx.beginPath();
-    ctx.arc(mid.x, mid.y, 26, 0, Math.PI * 2);
+    ctx.arc(mid.x, mid.y, glowRadius, 0, Math.PI * 2);
     ctx.fill();
 
-    ctx.strokeStyle = 'rgba(248, 250, 252, 0.9)';
+    ctx.strokeStyle = `rgba(248, 250, 252, ${0.9 * grow})`;
     ctx.lineWidth = 3;
     ctx.beginPath();
     ctx.moveTo(pA.x, pA.y);
     ctx.lineTo(pB.x, pB.y);
     ctx.stroke();
+    if (b.dative) drawDativeArrow(a, c, mid);
 
     ctx.fillStyle = '#facc15';
     ctx.beginPath();
@@ -592,13 +882,17 @@ function render() {
     ctx.arc(pB.x, pB.y, 4, 0, Math.PI * 2);
     ctx.fill();
 
-    if (showForces) {
+    if (showForces && !coulombMode) {
       drawForceArrow(a.x, a.y, mid.x, mid.y);
       drawForceArrow(c.x, c.y, mid.x, mid.y);
     }
   });
 
-  atoms.forEach((atom) => {
+  drawIonicAttractions();
+
+  const charges = formalCharges(sim);
+  const transferredIds = new Set(sim.transfers.map((t) => t.electronId));
+  sim.atoms.forEach((atom) => {
     const shellGrad = ctx.createRadialGradient(atom.x, atom.y, atom.radiusCore, atom.x, atom.y, atom.radiusValence + 10);
     shellGrad.addColorStop(0, 'rgba(15,23,42,0)');
     shellGrad.addColorStop(0.5, 'rgba(56,189,248,0.26)');
@@ -632,20 +926,442 @@ function render() {
     ctx.font = 'bold 13px system-ui';
     ctx.textAlign = 'center';
     ctx.textBaseline = 'middle';
-    ctx.fillText(atom.element.symbol, atom.x, atom.y);
+    ctx.fillText(formulaSymbol(atom.element), atom.x, atom.y);
+    if (charges.get(atom.id)) drawIonCharge(atom, charges.get(atom.id));
 
     atom.electrons.forEach((e) => {
-      const pos = electronPosition(atom, e);
+      // Shared electrons were drawn with their bond, transferred ones
+      // are drawn on the ion that took them.
+      if (bondedElectronIds.has(e.id) || transferredIds.has(e.id)) return;
+      const pos = flyingElectronPosition(e.id) || electronPosition(atom, e);
       ctx.fillStyle = '#e5e7eb';
       ctx.beginPath();
       ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
       ctx.fill();
     });
   });
+  drawTransferredElectrons();
+
+  if (showForces && coulombMode) drawCoulombForces();
+
+  drawSelection();
+  drawInspectedBond();
+
+  const octetStatuses = checkOctets(sim);
+  octetStatuses.forEach(drawOctetStatus);
+  updateOctetSummary(octetStatuses);
+
+  const molecules = findMolecules(sim);
+  if (showPolarity) drawPolarity(molecules);
+  molecules.forEach(drawMoleculeLabel);
+  updateMoleculeReadout(molecules);
+  updateShapeReadout(molecules);
+  updateChallenge();
+  updateBondInspector(molecules);
+  updateEnergyCurve();
+  drawMinimap();
 
   requestAnimationFrame(render);
 }
 
+// The bond shown in the inspector: the hovered one, else the clicked one.
+function inspectedBondKey() {
+  const key = hoveredBondKey || selectedBondKey;
+  return key && groupBondsByPair(sim).has(key) ? key : null;
+}
+
+function pickBond(x, y) {
+  for (const b of sim.bonds) {
+    const pair = sharedPairGeometry(sim, b);
+    if (pair && distance({ x, y }, pair.mid) <= BOND_HIT_RADIUS) return bondPairKey(b.aId, b.bId);
+  }
+  return null;
+}
+
+function drawInspectedBond() {
+  const key = inspectedBondKey();
+  if (!key) return;
+  ctx.strokeStyle = 'rgba(56, 189, 248, 0.95)';
+  ctx.lineWidth = 1.5;
+  ctx.setLineDash([3, 3]);
+  groupBondsByPair(sim).get(key).forEach((b) => {
+    const pair = sharedPairGeometry(sim, b);
+    if (!pair) return;
+    ctx.beginPath();
+    ctx.arc(pair.mid.x, pair.mid.y, BOND_HIT_RADIUS + 3, 0, Math.PI * 2);
+    ctx.stroke();
+  });
+  ctx.setLineDash([]);
+}
+
+function describeBond(info) {
+  const symbols = { 1: '–', 2: '=', 3: '≡' };
+  const lines = [
+    `${formulaSymbol(info.a.element)}${symbols[info.order] || '–'}${formulaSymbol(info.b.element)} ${info.type} bond`,
+    `${info.a.element.name}–${info.b.element.name.toLowerCase()}, ${info.order} shared pair${info.order === 1 ? '' : 's'}`,
+  ];
+  if (info.dative) {
+    const pairs = info.dative === 1 ? 'one pair' : `${info.dative} pairs`;
+    lines.push(`Dative: both electrons of ${pairs} come from ${info.donor.element.name.toLowerCase()}`);
+  }
+  if (info.properties) {
+    lines.push(`Typical length: ${info.properties.length} pm`);
+    lines.push(`Bond enthalpy: ${info.properties.enthalpy} kJ/mol`);
+  } else {
+    lines.push('No typical length or enthalpy on record for this bond.');
+  }
+  const { polarity } = info;
+  lines.push(
+    polarity.polar
+      ? `Polar (ΔEN ${polarity.difference.toFixed(2)}): electrons pulled toward ${polarity.negative.name.toLowerCase()}`
+      : `Non-polar (ΔEN ${polarity.difference.toFixed(2)})`
+  );
+  return lines;
+}
+
+function updateBondInspector(molecules) {
+  if (!bondInspector) return;
+  const key = inspectedBondKey();
+  const energies = molecules.map((m) => ({ molecule: m, energy: moleculeBondEnergy(sim, m) }));
+  const groups = groupBondsByPair(sim);
+  const stateKey = `${key}:${key ? groups.get(key).length : ''}|${energies
+    .map((e) => `${e.molecule.formula}:${e.energy.total}:${e.energy.unknown}`)
+    .join(',')}`;
+  // Only rebuild the panel when what it shows changes.
+  if (stateKey === bondInspectorKey) return;
+  bondInspectorKey = stateKey;
+
+  bondInspector.details.innerHTML = '';
+  const info = key ? bondInfo(sim, groups.get(key)) : null;
+  const detailLines = info ? describeBond(info) : ['Hover over or click a shared pair to inspect its bond.'];
+  detailLines.forEach((text, i) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    if (i === 0 && info) line.className = 'bond-title';
+    bondInspector.details.appendChild(line);
+  });
+
+  bondInspector.energies.innerHTML = '';
+  energies
+    .sort((p, q) => q.energy.total - p.energy.total)
+    .forEach(({ molecule, energy }) => {
+      const li = document.createElement('li');
+      const partial = energy.unknown > 0 ? ' (partial: some bonds have no data)' : '';
+      li.textContent = `${describeMolecule(molecule)}: ${energy.total} kJ/mol${partial}`;
+      bondInspector.energies.appendChild(li);
+    });
+  bondInspector.energyTitle.hidden = energies.length === 0;
+}
+
+// The atom pair the energy curve follows: the dragged atom and its
+// nearest atom outside the drag, else the inspected bond.
+function energyCurvePair() {
+  const dragged = draggingAtomId != null && atomById(sim, draggingAtomId);
+  if (dragged) {
+    const moving = new Set(dragStart ? dragStart.map((s) => s.atom.id) : [dragged.id]);
+    let nearest = null;
+    let nearestDistance = ENERGY_CURVE_RANGE;
+    sim.atoms.forEach((other) => {
+      if (moving.has(other.id)) return;
+      const d = distance(dragged, other);
+      if (d < nearestDistance) {
+        nearest = other;
+        nearestDistance = d;
+      }
+    });
+    if (nearest) return [dragged, nearest];
+  }
+  const key = inspectedBondKey();
+  const pairBonds = key && groupBondsByPair(sim).get(key);
+  if (!pairBonds) return null;
+  const a = atomById(sim, pairBonds[0].aId);
+  const b = atomById(sim, pairBonds[0].bId);
+  return a && b ? [a, b] : null;
+}
+
+function updateEnergyCurve() {
+  if (!energyCurve) return;
+  const pair = energyCurvePair();
+  const order = pair ? (groupBondsByPair(sim).get(bondPairKey(pair[0].id, pair[1].id)) || []).length : 0;
+  const separation = pair ? distance(pair[0], pair[1]) : 0;
+  const key = pair ? `${pair[0].id}-${pair[1].id}:${order}:${separation.toFixed(1)}` : '';
+  // Only redraw when the pair or its separation changes.
+  if (key === energyCurveKey) return;
+  energyCurveKey = key;
+
+  const { plot } = energyCurve;
+  if (!pair) {
+    plot.hidden = true;
+    setEnergyCaption(['Drag an atom toward another, or inspect a bond, to see its potential energy curve.']);
+    return;
+  }
+  const [a, b] = pair;
+  const symbols = `${formulaSymbol(a.element)}–${formulaSymbol(b.element)}`;
+  if (order === 0 && bondRuleFor(a.element, b.element).maxOrder === 0) {
+    plot.hidden = true;
+    let caption = `${symbols}: these atoms do not form a covalent bond.`;
+    if (isIonicPair(a.element, b.element)) {
+      caption = `${symbols}: the metal gives its electrons away instead of sharing them (ionic bond).`;
+    } else if (a.element.charge || b.element.charge) {
+      caption = `${symbols}: the ion has an empty shell and can only take a whole lone pair (dative bond).`;
+    }
+    setEnergyCaption([caption]);
+    return;
+  }
+
+  // An unbonded pair first meets as a single bond.
+  const curve = morseCurve(a, b, Math.max(order, 1));
+  plot.hidden = false;
+  drawEnergyCurve(plot, curve, separation, order > 0);
+
+  const energy = Math.round(morseEnergy(curve, separation));
+  setEnergyCaption([
+    `${symbols} ${order > 0 ? 'bonded' : 'not bonded'}, ${Math.round(separation)} px apart` +
+      (curve.pmPerPx ? ` (≈ ${Math.round(separation * curve.pmPerPx)} pm)` : ''),
+    curve.estimated
+      ? 'No table data for this bond: curve shape only.'
+      : `Energy ≈ ${energy} kJ/mol; well depth ${curve.depth} kJ/mol at r₀ = ${Math.round(
+          curve.equilibrium * curve.pmPerPx
+        )} pm`,
+  ]);
+}
+
+function setEnergyCaption(lines) {
+  energyCurve.caption.innerHTML = '';
+  lines.forEach((text) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    energyCurve.caption.appendChild(line);
+  });
+}
+
+// Morse curve from 0.5 r₀ to 2 r₀, clipped to the well depth below
+// and 60% of it above zero. The shaded well is where the bond forms;
+// the dashed line marks r₀ and the dot the current separation.
+function drawEnergyCurve(plot, curve, separation, bonded) {
+  const c = plot.getContext('2d');
+  const w = ENERGY_CURVE_WIDTH;
+  const h = ENERGY_CURVE_HEIGHT;
+  const pad = { left: 22, right: 8, top: 8, bottom: 18 };
+  const rMin = curve.equilibrium * 0.5;
+  const rMax = curve.equilibrium * 2;
+  const eMin = -curve.depth * 1.1;
+  const eMax = curve.depth * 0.6;
+  const px = (r) => pad.left + ((r - rMin) / (rMax - rMin)) * (w - pad.left - pad.right);
+  const py = (e) => pad.top + ((eMax - Math.min(eMax, e)) / (eMax - eMin)) * (h - pad.top - pad.bottom);
+
+  c.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+  c.clearRect(0, 0, w, h);
+
+  const points = [];
+  for (let r = rMin; r <= rMax + 0.01; r += (rMax - rMin) / 120) points.push({ x: px(r), y: py(morseEnergy(curve, r)), r });
+
+  // Shaded well: between the curve and the dissociation line, inside
+  // the separation where the electrons start to share.
+  const well = points.filter((p) => p.r <= curve.capture && morseEnergy(curve, p.r) < 0);
+  if (well.length) {
+    c.fillStyle = 'rgba(34, 197, 94, 0.18)';
+    c.beginPath();
+    c.moveTo(well[0].x, py(0));
+    well.forEach((p) => c.lineTo(p.x, p.y));
+    c.lineTo(well[well.length - 1].x, py(0));
+    c.closePath();
+    c.fill();
+  }
+
+  // Axes and the zero (separated atoms) line.
+  c.strokeStyle = 'rgba(148, 163, 184, 0.6)';
+  c.lineWidth = 1;
+  c.beginPath();
+  c.moveTo(pad.left, pad.top);
+  c.lineTo(pad.left, h - pad.bottom);
+  c.lineTo(w - pad.right, h - pad.bottom);
+  c.stroke();
+  c.setLineDash([3, 3]);
+  c.beginPath();
+  c.moveTo(pad.left, py(0));
+  c.lineTo(w - pad.right, py(0));
+  c.stroke();
+
+  // Equilibrium bond length.
+  c.strokeStyle = 'rgba(253, 230, 138, 0.8)';
+  c.beginPath();
+  c.moveTo(px(curve.equilibrium), pad.top);
+  c.lineTo(px(curve.equilibrium), h - pad.bottom);
+  c.stroke();
+  c.setLineDash([]);
+
+  c.strokeStyle = '#38bdf8';
+  c.lineWidth = 2;
+  c.beginPath();
+  points.forEach((p, i) => (i === 0 ? c.moveTo(p.x, p.y) : c.lineTo(p.x, p.y)));
+  c.stroke();
+
+  c.fillStyle = 'rgba(226, 232, 240, 0.85)';
+  c.font = '10px system-ui';
+  c.textBaseline = 'alphabetic';
+  c.textAlign = 'center';
+  c.fillText('r₀', px(curve.equilibrium), h - 5);
+  c.textAlign = 'right';
+  c.fillText('distance →', w - pad.right, h - 5);
+  c.save();
+  c.translate(11, h / 2);
+  c.rotate(-Math.PI / 2);
+  c.textAlign = 'center';
+  c.fillText('energy', 0, 0);
+  c.restore();
+
+  // Current separation, pinned to the plot edge when off the chart.
+  const r = Math.min(rMax, Math.max(rMin, separation));
+  c.fillStyle = bonded ? '#4ade80' : '#fbbf24';
+  c.beginPath();
+  c.arc(px(r), py(morseEnergy(curve, r)), 4.5, 0, Math.PI * 2);
+  c.fill();
+}
+
+// Polarity overlay: δ+/δ− on atoms with a partial charge, a crossed
+// dipole arrow beside every polar bond pointing to its δ− end, and the
+// net dipole of each polar molecule from its centroid.
+function drawPolarity(molecules) {
+  ctx.font = '600 12px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  partialCharges(sim).forEach((charge, atomId) => {
+    if (Math.abs(charge) < 0.05) return;
+    const atom = atomById(sim, atomId);
+    ctx.fillStyle = charge < 0 ? '#f9a8d4' : '#93c5fd';
+    ctx.fillText(charge < 0 ? 'δ−' : 'δ+', atom.x + atom.radiusCore + 8, atom.y - atom.radiusCore - 8);
+  });
+
+  bondDipoles(sim).forEach((d) => {
+    const dx = d.negative.x - d.positive.x;
+    const dy = d.negative.y - d.positive.y;
+    const len = Math.hypot(dx, dy) || 1;
+    const ox = (-dy / len) * 18;
+    const oy = (dx / len) * 18;
+    drawDipoleArrow(
+      { x: d.positive.x + dx * 0.3 + ox, y: d.positive.y + dy * 0.3 + oy },
+      { x: d.positive.x + dx * 0.7 + ox, y: d.positive.y + dy * 0.7 + oy },
+      'rgba(244, 114, 182, 0.9)',
+      1.5
+    );
+  });
+
+  molecules.forEach((molecule) => {
+    const dipole = moleculeDipole(sim, molecule);
+    if (!dipole.polar) return;
+    const center = centroid(molecule.atoms);
+    const length = 24 + 16 * Math.min(dipole.magnitude, 2);
+    drawDipoleArrow(
+      center,
+      {
+        x: center.x + (dipole.x / dipole.magnitude) * length,
+        y: center.y + (dipole.y / dipole.magnitude) * length,
+      },
+      'rgba(250, 204, 21, 0.95)',
+      2.5
+    );
+  });
+}
+
+// Chemistry dipole arrow: points to the δ− end, with a cross stroke
+// near its tail marking the δ+ end.
+function drawDipoleArrow(from, to, color, width) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const len = Math.hypot(dx, dy);
+  if (len < 4) return;
+  const ux = dx / len;
+  const uy = dy / len;
+  const cross = { x: from.x + ux * 6, y: from.y + uy * 6 };
+
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  ctx.moveTo(cross.x - uy * 5, cross.y + ux * 5);
+  ctx.lineTo(cross.x + uy * 5, cross.y - ux * 5);
+  ctx.stroke();
+
+  const headLen = 6 + width * 2;
+  const angle = Math.atan2(dy, dx);
+  ctx.beginPath();
+  ctx.moveTo(to.x, to.y);
+  ctx.lineTo(to.x - headLen * Math.cos(angle - Math.PI / 7), to.y - headLen * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(to.x - headLen * Math.cos(angle + Math.PI / 7), to.y - headLen * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
+
+// Coulomb force overlay. Arrow length and thickness grow with the
+// force's magnitude (square root, so weak forces stay visible).
+const FORCE_COLORS = {
+  attraction: 'rgba(96, 165, 250, 0.95)',
+  repulsion: 'rgba(248, 113, 113, 0.95)',
+  electron: 'rgba(251, 146, 60, 0.95)',
+  net: 'rgba(74, 222, 128, 0.95)',
+};
+
+function drawCoulombForces() {
+  const forces = coulombForces(sim);
+  forces.repulsions.forEach((f) => drawScaledArrow(f.atom, f, FORCE_COLORS.repulsion));
+  forces.attractions.forEach((f) => drawScaledArrow(f.atom, f, FORCE_COLORS.attraction));
+  forces.pairRepulsions.forEach((f) => drawScaledArrow(f.at, f, FORCE_COLORS.electron));
+  forces.net.forEach((f) => drawScaledArrow(f.atom, f, FORCE_COLORS.net, 1.5));
+  useScreenTransform();
+  drawForceLegend();
+  useWorldTransform();
+}
+
+function drawScaledArrow(from, force, color, weight = 1) {
+  if (force.magnitude < 0.05) return;
+  const length = Math.min(70, 6 + 12 * Math.sqrt(force.magnitude));
+  const ux = force.x / force.magnitude;
+  const uy = force.y / force.magnitude;
+  const toX = from.x + ux * length;
+  const toY = from.y + uy * length;
+  const width = weight * (1 + Math.min(force.magnitude, 20) / 5);
+
+  ctx.strokeStyle = color;
+  ctx.fillStyle = color;
+  ctx.lineWidth = width;
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(toX, toY);
+  ctx.stroke();
+
+  const headLen = 5 + width * 1.5;
+  const angle = Math.atan2(uy, ux);
+  ctx.beginPath();
+  ctx.moveTo(toX + ux * 2, toY + uy * 2);
+  ctx.lineTo(toX - headLen * Math.cos(angle - Math.PI / 7), toY - headLen * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(toX - headLen * Math.cos(angle + Math.PI / 7), toY - headLen * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
+
+function drawForceLegend() {
+  const h = canvas.height / window.devicePixelRatio;
+  const items = [
+    ['nucleus → shared pair attraction', FORCE_COLORS.attraction],
+    ['nucleus ↔ nucleus repulsion', FORCE_COLORS.repulsion],
+    ['electron ↔ electron repulsion', FORCE_COLORS.electron],
+    ['net force on atom', FORCE_COLORS.net],
+  ];
+  ctx.font = '11px system-ui';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  items.forEach(([label, color], i) => {
+    const y = h - 14 - (items.length - 1 - i) * 16;
+    ctx.fillStyle = color;
+    ctx.fillRect(12, y - 2, 16, 4);
+    ctx.fillStyle = 'rgba(226, 232, 240, 0.85)';
+    ctx.fillText(label, 34, y);
+  });
+}
+
 function drawForceArrow(fromX, fromY, toX, toY) {
   const dx = toX - fromX;
   const dy = toY - fromY;
@@ -677,85 +1393,1472 @@ function drawForceArrow(fromX, fromY, toX, toY) {
   ctx.fill();
 }
 
-function pickAtom(x, y) {
-  for (let i = atoms.length - 1; i >= 0; i--) {
-    const atom = atoms[i];
-    const d = distance({ x, y }, { x: atom.x, y: atom.y });
-    if (d <= atom.radiusValence) return atom;
-  }
-  return null;
-}
+// Dashed line between the two ions of every electron transfer, from
+// the positive metal ion (red) to the negative one (blue), thicker for
+// more electrons transferred.
+function drawIonicAttractions() {
+  groupTransfersByPair(sim).forEach((transfers) => {
+    const donor = atomById(sim, transfers[0].donorId);
+    const acceptor = atomById(sim, transfers[0].acceptorId);
+    if (!donor || !acceptor) return;
+    const d = distance(donor, acceptor) || 1;
+    const ux = (acceptor.x - donor.x) / d;
+    const uy = (acceptor.y - donor.y) / d;
+    const from = { x: donor.x + ux * (donor.radiusCore + 4), y: donor.y + uy * (donor.radiusCore + 4) };
+    const to = { x: acceptor.x - ux * (acceptor.radiusCore + 4), y: acceptor.y - uy * (acceptor.radiusCore + 4) };
+
+    const gradient = ctx.createLinearGradient(from.x, from.y, to.x, to.y);
+    gradient.addColorStop(0, 'rgba(248, 113, 113, 0.85)');
+    gradient.addColorStop(1, 'rgba(96, 165, 250, 0.85)');
+    ctx.strokeStyle = gradient;
+    ctx.lineWidth = 1.5 + transfers.length;
+    ctx.setLineDash([6, 5]);
+    ctx.beginPath();
+    ctx.moveTo(from.x, from.y);
+    ctx.lineTo(to.x, to.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
 
-function setupCanvasInteractions() {
-  canvas.addEventListener('pointerdown', (e) => {
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    const atom = pickAtom(x, y);
-    if (atom) {
-      draggingAtomId = atom.id;
-      dragOffset.x = x - atom.x;
-      dragOffset.y = y - atom.y;
-      activePointerId = e.pointerId;
-      canvas.setPointerCapture(e.pointerId);
+    if (showForces && !coulombMode) {
+      const mid = { x: (donor.x + acceptor.x) / 2, y: (donor.y + acceptor.y) / 2 };
+      drawForceArrow(donor.x, donor.y, mid.x, mid.y);
+      drawForceArrow(acceptor.x, acceptor.y, mid.x, mid.y);
     }
   });
+}
 
-  canvas.addEventListener('pointermove', (e) => {
-    if (!draggingAtomId || e.pointerId !== activePointerId) return;
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    const atom = atoms.find((a) => a.id === draggingAtomId);
-    if (atom) {
-      atom.x = x - dragOffset.x;
-      atom.y = y - dragOffset.y;
-    }
-  });
+// Superscript charge beside a charged atom's symbol, e.g. "+", "2−":
+// ions and the formal charges of atoms in a dative bond.
+function drawIonCharge(atom, charge) {
+  const size = Math.abs(charge);
+  const label = `${size > 1 ? size : ''}${charge > 0 ? '+' : '−'}`;
+  ctx.fillStyle = charge > 0 ? '#fca5a5' : '#93c5fd';
+  ctx.font = 'bold 11px system-ui';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, atom.x + atom.radiusCore + 2, atom.y - atom.radiusCore - 2);
+}
 
-  canvas.addEventListener('pointerup', (e) => {
-    if (e.pointerId === activePointerId && draggingAtomId != null) {
-      draggingAtomId = null;
-      activePointerId = null;
-      needsBondReorientation = true;
-      canvas.releasePointerCapture(e.pointerId);
-    }
-  });
+// A dative bond's pair carries an arrow from the atom that lent both
+// electrons toward the one that took them.
+function drawDativeArrow(donor, acceptor, mid) {
+  const angle = Math.atan2(acceptor.y - donor.y, acceptor.x - donor.x);
+  const ux = Math.cos(angle);
+  const uy = Math.sin(angle);
+  const tipX = mid.x + ux * DATIVE_ARROW_LENGTH;
+  const tipY = mid.y + uy * DATIVE_ARROW_LENGTH;
+  ctx.strokeStyle = '#f9a8d4';
+  ctx.fillStyle = '#f9a8d4';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(mid.x - ux * DATIVE_ARROW_LENGTH, mid.y - uy * DATIVE_ARROW_LENGTH);
+  ctx.lineTo(tipX, tipY);
+  ctx.stroke();
+  const headLen = 7;
+  ctx.beginPath();
+  ctx.moveTo(tipX, tipY);
+  ctx.lineTo(tipX - headLen * Math.cos(angle - Math.PI / 7), tipY - headLen * Math.sin(angle - Math.PI / 7));
+  ctx.lineTo(tipX - headLen * Math.cos(angle + Math.PI / 7), tipY - headLen * Math.sin(angle + Math.PI / 7));
+  ctx.closePath();
+  ctx.fill();
+}
 
-  canvas.addEventListener('pointercancel', (e) => {
-    if (e.pointerId === activePointerId) {
-      draggingAtomId = null;
-      activePointerId = null;
-      needsBondReorientation = true;
-      canvas.releasePointerCapture(e.pointerId);
-    }
-  });
+function animationDuration(ms) {
+  return slowMotion ? ms * SLOW_MOTION_FACTOR : ms;
+}
 
-  canvas.addEventListener('dragover', (e) => {
-    e.preventDefault();
-  });
+function animateBond(event) {
+  bondAnimations.set(event.bond.id, { bond: event.bond, start: performance.now(), breaking: event.type === 'broken' });
+}
 
-  canvas.addEventListener('drop', (e) => {
-    e.preventDefault();
-    const data = e.dataTransfer.getData('text/plain');
-    if (!data) return;
-    let el;
-    try {
-      el = JSON.parse(data);
-    } catch (err) {
+// How far along (0..1) a bond's animation is, or null when it has none
+// of that kind running.
+function bondAnimationProgress(bondId, breaking) {
+  const anim = bondAnimations.get(bondId);
+  if (!anim || anim.breaking !== breaking) return null;
+  const t = (performance.now() - anim.start) / animationDuration(BOND_ANIMATION_MS);
+  if (t >= 1) {
+    bondAnimations.delete(bondId);
+    return null;
+  }
+  return t;
+}
+
+// Broken pairs flash and fade out between their now free electrons.
+function drawBreakingBonds() {
+  bondAnimations.forEach((anim, id) => {
+    const t = bondAnimationProgress(id, true);
+    if (t === null) return;
+    const { bond } = anim;
+    const donor = atomById(sim, bond.aId);
+    const owner = atomById(sim, bond.dative ? bond.aId : bond.bId);
+    const eA = electronById(sim, bond.eAId);
+    const eB = electronById(sim, bond.eBId);
+    if (!donor || !owner || !eA || !eB) {
+      bondAnimations.delete(id);
       return;
     }
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-    spawnAtomFromElement(el, x, y);
+    const pA = electronPosition(donor, eA);
+    const pB = electronPosition(owner, eB);
+    const mid = { x: (pA.x + pB.x) / 2, y: (pA.y + pB.y) / 2 };
+    const fade = 1 - t;
+    const radius = 26 * (1 + t * 0.6);
+    const g = ctx.createRadialGradient(mid.x, mid.y, 0, mid.x, mid.y, radius);
+    g.addColorStop(0, `rgba(251, 191, 36, ${0.4 * fade})`);
+    g.addColorStop(1, 'rgba(0,0,0,0)');
+    ctx.fillStyle = g;
+    ctx.beginPath();
+    ctx.arc(mid.x, mid.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.strokeStyle = `rgba(248, 250, 252, ${0.9 * fade})`;
+    ctx.lineWidth = 2;
+    ctx.setLineDash([3, 4]);
+    ctx.beginPath();
+    ctx.moveTo(pA.x, pA.y);
+    ctx.lineTo(pB.x, pB.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
   });
 }
 
+function animateTransfer(event) {
+  transferAnimations.set(event.transfer.electronId, {
+    transfer: event.transfer,
+    start: performance.now(),
+    returning: event.type === 'returned',
+  });
+}
+
+// Where an electron on its way between a metal and a non-metal is,
+// or null once it has arrived.
+function flyingElectronPosition(electronId) {
+  const flight = transferAnimations.get(electronId);
+  if (!flight) return null;
+  const t = (performance.now() - flight.start) / animationDuration(TRANSFER_ANIMATION_MS);
+  const donor = atomById(sim, flight.transfer.donorId);
+  const electron = electronById(sim, electronId);
+  const onAcceptor = transferPosition(sim, flight.transfer);
+  if (t >= 1 || !donor || !electron || !onAcceptor) {
+    transferAnimations.delete(electronId);
+    return null;
+  }
+  const onDonor = electronPosition(donor, electron);
+  const [from, to] = flight.returning ? [onAcceptor, onDonor] : [onDonor, onAcceptor];
+  const eased = t * t * (3 - 2 * t);
+  return { x: from.x + (to.x - from.x) * eased, y: from.y + (to.y - from.y) * eased };
+}
+
+function drawTransferredElectrons() {
+  sim.transfers.forEach((t) => {
+    const pos = flyingElectronPosition(t.electronId) || transferPosition(sim, t);
+    if (!pos) return;
+    ctx.fillStyle = '#e5e7eb';
+    ctx.shadowColor = '#f8fafc';
+    ctx.shadowBlur = transferAnimations.has(t.electronId) ? 10 : 0;
+    ctx.beginPath();
+    ctx.arc(pos.x, pos.y, 3, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+  });
+}
+
+function pickAtom(x, y) {
+  for (let i = sim.atoms.length - 1; i >= 0; i--) {
+    const atom = sim.atoms[i];
+    const d = distance({ x, y }, { x: atom.x, y: atom.y });
+    if (d <= atom.radiusValence) return atom;
+  }
+  return null;
+}
+
+function atomsInRect(rect) {
+  const minX = Math.min(rect.x0, rect.x1);
+  const maxX = Math.max(rect.x0, rect.x1);
+  const minY = Math.min(rect.y0, rect.y1);
+  const maxY = Math.max(rect.y0, rect.y1);
+  return sim.atoms.filter((a) => a.x >= minX && a.x <= maxX && a.y >= minY && a.y <= maxY);
+}
+
+function selectedAtoms() {
+  return sim.atoms.filter((a) => selectedAtomIds.has(a.id));
+}
+
+// Drop ids of atoms that no longer exist (after delete, undo, load...).
+function pruneSelection() {
+  const ids = new Set(sim.atoms.map((a) => a.id));
+  selectedAtomIds.forEach((id) => {
+    if (!ids.has(id)) selectedAtomIds.delete(id);
+  });
+}
+
+function deleteSelection() {
+  const ids = selectedAtoms().map((a) => a.id);
+  if (ids.length === 0) return;
+  const label = ids.length === 1 ? 'delete atom' : `delete ${ids.length} atoms`;
+  recordCommand(removeAtomsCommand(label, ids));
+  selectedAtomIds.clear();
+}
+
+// Copies keep their element, electron offsets and relative layout, and
+// become the new selection so they can be dragged away immediately.
+function duplicateSelection() {
+  const originals = selectedAtoms();
+  if (originals.length === 0) return;
+  const shift = 40;
+  const copies = originals.map((original) => {
+    const copy = spawnAtomFromElement(sim, original.element, original.x + shift, original.y + shift);
+    copy.electrons.forEach((e, i) => {
+      e.angleOffset = original.electrons[i].angleOffset;
+    });
+    return copy;
+  });
+  const label = copies.length === 1 ? 'duplicate atom' : `duplicate ${copies.length} atoms`;
+  recordCommand(addAtomsCommand(label, copies), { apply: false });
+  selectedAtomIds = new Set(copies.map((a) => a.id));
+}
+
+// In molecule mode, the atoms a drag or rotation acts on are the whole
+// molecules of the given atoms.
+function expandToMolecules(atomList) {
+  const ids = connectedAtomIds(sim, atomList.map((a) => a.id), moleculeNeighbors(sim));
+  return sim.atoms.filter((a) => ids.has(a.id));
+}
+
+function centroid(atomList) {
+  const sum = atomList.reduce((acc, a) => ({ x: acc.x + a.x, y: acc.y + a.y }), { x: 0, y: 0 });
+  return { x: sum.x / atomList.length, y: sum.y / atomList.length };
+}
+
+// The handle floats above the selection and rotates it about its centroid.
+function rotationHandle() {
+  const selection = selectedAtoms();
+  if (selection.length < 2) return null;
+  const center = centroid(selection);
+  const top = Math.min(...selection.map((a) => a.y - a.radiusValence));
+  return { center, x: center.x, y: top - ROTATE_HANDLE_GAP };
+}
+
+// Snapshot positions and electron offsets so a rotation can always be
+// computed from the starting layout, without drift.
+function rotationSnapshot(atomList) {
+  return atomList.map((atom) => ({
+    atom,
+    x: atom.x,
+    y: atom.y,
+    offsets: atom.electrons.map((e) => e.angleOffset),
+  }));
+}
+
+// Rotating the electrons along with the nuclei keeps every shared pair
+// in range, so bonds survive the rotation.
+function rotateSnapshot(snapshot, center, angle) {
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  snapshot.forEach((s) => {
+    const dx = s.x - center.x;
+    const dy = s.y - center.y;
+    s.atom.x = center.x + dx * cos - dy * sin;
+    s.atom.y = center.y + dx * sin + dy * cos;
+    s.atom.electrons.forEach((e, i) => {
+      e.angleOffset = normalizeAngle(s.offsets[i] + angle);
+    });
+  });
+}
+
+// Rotation snapshots carry electron offsets too; the move keeps them so
+// undo turns the electrons back along with the nuclei.
+function recordSnapshotMove(label, snapshot) {
+  const moves = snapshot
+    .filter((s) => s.atom.x !== s.x || s.atom.y !== s.y)
+    .map((s) => {
+      const from = { x: s.x, y: s.y };
+      const to = { x: s.atom.x, y: s.atom.y };
+      if (s.offsets) {
+        from.offsets = s.offsets;
+        to.offsets = s.atom.electrons.map((e) => e.angleOffset);
+      }
+      return { atom: s.atom, from, to };
+    });
+  if (moves.length === 0) return;
+  recordCommand(moveAtomsCommand(label, moves), { apply: false });
+}
+
+function drawRotationHandle() {
+  const handle = rotationHandle();
+  if (!handle) return;
+  ctx.strokeStyle = 'rgba(56, 189, 248, 0.6)';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([2, 3]);
+  ctx.beginPath();
+  ctx.moveTo(handle.center.x, handle.center.y);
+  ctx.lineTo(handle.x, handle.y);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  ctx.fillStyle = rotation ? '#f97316' : '#38bdf8';
+  ctx.beginPath();
+  ctx.arc(handle.x, handle.y, ROTATE_HANDLE_RADIUS, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = '#0f172a';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  ctx.arc(handle.x, handle.y, ROTATE_HANDLE_RADIUS - 3.5, -Math.PI * 0.9, Math.PI * 0.4);
+  ctx.stroke();
+}
+
+function drawSelection() {
+  selectedAtoms().forEach((atom) => {
+    ctx.strokeStyle = 'rgba(56, 189, 248, 0.95)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.arc(atom.x, atom.y, atom.radiusValence + 13, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  });
+
+  if (marquee) {
+    const x = Math.min(marquee.x0, marquee.x1);
+    const y = Math.min(marquee.y0, marquee.y1);
+    const w = Math.abs(marquee.x1 - marquee.x0);
+    const h = Math.abs(marquee.y1 - marquee.y0);
+    ctx.fillStyle = 'rgba(56, 189, 248, 0.08)';
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeStyle = 'rgba(56, 189, 248, 0.8)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(x, y, w, h);
+  }
+
+  drawRotationHandle();
+}
+
+// Replace the canvas with a saved scene and start a fresh history,
+// since the old entries point at atoms that no longer exist.
+function openScene(scene) {
+  if (!loadScene(sim, scene)) return false;
+  selectedAtomIds.clear();
+  undoStack = [];
+  redoStack = [];
+  updateHistoryButtons();
+  sceneChanged();
+  return true;
+}
+
+// Called after every user edit so the scene survives a reload.
+function sceneChanged() {
+  try {
+    localStorage.setItem(SCENE_STORAGE_KEY, JSON.stringify(serializeScene(sim)));
+  } catch (err) {
+    // Storage can be full or disabled (private browsing); the canvas
+    // still works, it just won't be restored on reload.
+  }
+}
+
+function encodeSceneHash(scene) {
+  const base64 = btoa(unescape(encodeURIComponent(JSON.stringify(scene))));
+  return SCENE_HASH_PREFIX + base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeSceneHash(hash) {
+  if (!hash || !hash.startsWith(SCENE_HASH_PREFIX)) return null;
+  try {
+    const base64 = hash.slice(SCENE_HASH_PREFIX.length).replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(decodeURIComponent(escape(atob(base64))));
+  } catch (err) {
+    return null;
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoking straight away cancels the download in some browsers.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadScene() {
+  const blob = new Blob([JSON.stringify(serializeScene(sim), null, 2)], { type: 'application/json' });
+  downloadBlob(blob, 'covalent-scene.json');
+}
+
+// Worksheet exports: a snapshot of the canvas as it looks now, a clean
+// Lewis diagram and a plain-text list of the molecules built.
+function exportPng() {
+  canvas.toBlob((blob) => {
+    if (blob) downloadBlob(blob, 'covalent-builder.png');
+  }, 'image/png');
+}
+
+function exportLewisSvg() {
+  downloadBlob(new Blob([lewisSvg(sim)], { type: 'image/svg+xml' }), 'covalent-lewis.svg');
+}
+
+function exportFormulaText() {
+  downloadBlob(new Blob([formulaListText(sim)], { type: 'text/plain' }), 'covalent-formulas.txt');
+}
+
+function setChallengeMode(active) {
+  challenge.enabled = active;
+  challenge.ui.section.hidden = !active;
+  if (active && !challenge.set) loadDefaultChallenges();
+}
+
+function loadDefaultChallenges() {
+  challenge.ui.status.textContent = 'Loading challenges…';
+  fetch(CHALLENGES_URL)
+    .then((response) => {
+      if (!response.ok) throw new Error(response.statusText);
+      return response.json();
+    })
+    .then((data) => startChallengeSet(validateChallengeSet(data)))
+    .catch(() => {
+      challenge.ui.status.textContent = `Could not load ${CHALLENGES_URL}. Serve this folder over HTTP, or use Load set.`;
+    });
+}
+
+function loadChallengeFile(file) {
+  const reader = new FileReader();
+  reader.addEventListener('load', () => {
+    try {
+      startChallengeSet(validateChallengeSet(JSON.parse(reader.result)));
+    } catch (err) {
+      window.alert(`That is not a usable challenge set: ${err.message}`);
+    }
+  });
+  reader.readAsText(file);
+}
+
+function startChallengeSet(set) {
+  challenge.set = set;
+  showChallenge(0);
+}
+
+function showChallenge(index) {
+  const { ui, set } = challenge;
+  challenge.index = index;
+  challenge.attempts = 0;
+  challenge.complete = false;
+  challenge.sceneKey = '';
+  ui.hint.hidden = true;
+  ui.section.classList.remove('complete');
+  ui.checkBtn.disabled = false;
+  ui.nextBtn.disabled = false;
+  ui.nextBtn.textContent = 'Skip';
+
+  if (index >= set.challenges.length) {
+    ui.progress.textContent = set.title;
+    ui.prompt.textContent = `All ${set.challenges.length} challenges complete!`;
+    ui.status.textContent = 'Start over, or load another set.';
+    ui.checkBtn.disabled = true;
+    ui.nextBtn.textContent = 'Start over';
+    return;
+  }
+  ui.progress.textContent = `${set.title} · ${index + 1} of ${set.challenges.length}`;
+  ui.prompt.textContent = set.challenges[index].prompt;
+  ui.status.textContent = 'Build it on the canvas; it is checked as you go.';
+}
+
+function nextChallenge() {
+  if (!challenge.set) return;
+  const done = challenge.index >= challenge.set.challenges.length;
+  showChallenge(done ? 0 : challenge.index + 1);
+}
+
+function currentChallenge() {
+  if (!challenge.enabled || !challenge.set) return null;
+  return challenge.set.challenges[challenge.index] || null;
+}
+
+// Called every frame; only re-checks when the atoms or bonds changed.
+// Completing the goal is awarded automatically.
+function updateChallenge() {
+  const current = currentChallenge();
+  if (!current || challenge.complete) return;
+  // An electron transfer regroups atoms just like a bond does.
+  const bondIds = sim.bonds.map((b) => b.id).join(',');
+  const transferIds = sim.transfers.map((t) => t.id).join(',');
+  const key = `${sim.atoms.length}|${bondIds}|${transferIds}`;
+  if (key === challenge.sceneKey) return;
+  challenge.sceneKey = key;
+  const result = checkChallenge(sim, current);
+  if (result.complete) completeChallenge(result.feedback);
+}
+
+function completeChallenge(feedback) {
+  const { ui } = challenge;
+  challenge.complete = true;
+  ui.section.classList.add('complete');
+  ui.status.textContent = `✓ ${feedback}`;
+  ui.hint.hidden = true;
+  ui.checkBtn.disabled = true;
+  ui.nextBtn.textContent = 'Next';
+}
+
+// An explicit check that fails counts as an attempt and reveals the
+// next hint.
+function checkCurrentChallenge() {
+  const current = currentChallenge();
+  if (!current || challenge.complete) return;
+  const result = checkChallenge(sim, current);
+  if (result.complete) {
+    completeChallenge(result.feedback);
+    return;
+  }
+  challenge.attempts++;
+  challenge.ui.status.textContent = `Not yet: ${result.feedback}`;
+  if (current.hints.length > 0) {
+    const hint = current.hints[Math.min(challenge.attempts, current.hints.length) - 1];
+    challenge.ui.hint.textContent = `Hint: ${hint}`;
+    challenge.ui.hint.hidden = false;
+  }
+}
+
+// Spawn a parsed molecule graph to the right of whatever is already on
+// the canvas (so it cannot bond to it) and select it. Parse errors are
+// shown to the user; returns whether anything was added.
+function importGraph(parse, label) {
+  let graph;
+  try {
+    graph = parse();
+  } catch (err) {
+    window.alert(err.message);
+    return false;
+  }
+  const center = viewCenter();
+  const left = sim.atoms.length === 0 ? screenToWorld(60, 0).x : Math.max(...sim.atoms.map((a) => a.x)) + 100;
+  const spawned = spawnGraph(sim, graph, left, center.y);
+  recordCommand(addAtomsCommand(label, spawned), { apply: false });
+  selectedAtomIds = new Set(spawned.map((a) => a.id));
+  return true;
+}
+
+function importMolFile(file) {
+  const reader = new FileReader();
+  reader.addEventListener('load', () => {
+    importGraph(() => parseMolfile(reader.result), 'import MOL');
+  });
+  reader.readAsText(file);
+}
+
+function loadSceneFromFile(file) {
+  const reader = new FileReader();
+  reader.addEventListener('load', () => {
+    let scene = null;
+    try {
+      scene = JSON.parse(reader.result);
+    } catch (err) {
+      scene = null;
+    }
+    if (!openScene(scene)) {
+      window.alert('That file is not a Covalent Builder scene.');
+    }
+  });
+  reader.readAsText(file);
+}
+
+// The link is only copied, never put in the address bar: a hash left
+// there would reload that scene over newer work.
+function copySceneLink(button) {
+  const hash = encodeSceneHash(serializeScene(sim));
+  const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+
+  const showResult = (text) => {
+    button.textContent = text;
+    setTimeout(() => {
+      button.textContent = 'Copy link';
+    }, 1500);
+  };
+
+  const showLink = () => {
+    window.prompt('Copy this link to share the scene:', url);
+    showResult('Link ready');
+  };
+  if (navigator.clipboard && navigator.clipboard.writeText) {
+    navigator.clipboard.writeText(url).then(() => showResult('Link copied'), showLink);
+  } else {
+    showLink();
+  }
+}
+
+// A shared link wins over the locally saved scene. The hash is removed
+// once read, so reloading later keeps the work saved since.
+function restoreInitialScene() {
+  const fromHash = decodeSceneHash(window.location.hash);
+  if (window.location.hash.startsWith(SCENE_HASH_PREFIX)) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+  if (fromHash && openScene(fromHash)) return;
+
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(SCENE_STORAGE_KEY));
+  } catch (err) {
+    saved = null;
+  }
+  if (saved) openScene(saved);
+}
+
+// Apply a command's effect (the caller has usually done so already)
+// and push it onto the undo stack.
+function recordCommand(command, { apply = true } = {}) {
+  if (apply) command.redo();
+  undoStack.push(command);
+  if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+  redoStack = [];
+  historyChanged();
+}
+
+function undo() {
+  const command = undoStack.pop();
+  if (!command) return;
+  command.undo();
+  redoStack.push(command);
+  historyChanged();
+}
+
+function redo() {
+  const command = redoStack.pop();
+  if (!command) return;
+  command.redo();
+  undoStack.push(command);
+  historyChanged();
+}
+
+function historyChanged() {
+  pruneSelection();
+  updateHistoryButtons();
+  sceneChanged();
+}
+
+function updateHistoryButtons() {
+  if (undoBtn) {
+    undoBtn.disabled = undoStack.length === 0;
+    undoBtn.title = undoStack.length ? `Undo ${undoStack[undoStack.length - 1].label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+  }
+  if (redoBtn) {
+    redoBtn.disabled = redoStack.length === 0;
+    redoBtn.title = redoStack.length ? `Redo ${redoStack[redoStack.length - 1].label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
+  }
+}
+
+function addAtomsCommand(label, added) {
+  return {
+    label,
+    undo: () => {
+      const ids = new Set(added.map((a) => a.id));
+      sim.atoms = sim.atoms.filter((a) => !ids.has(a.id));
+    },
+    redo: () => {
+      added.forEach((a) => {
+        if (!sim.atoms.includes(a)) sim.atoms.push(a);
+      });
+    },
+  };
+}
+
+// Removed atoms are remembered with their index so undo puts them back
+// in the same order (bonding is resolved in atom order).
+function removeAtomsCommand(label, ids) {
+  const idSet = new Set(ids);
+  const removed = [];
+  sim.atoms.forEach((atom, index) => {
+    if (idSet.has(atom.id)) removed.push({ atom, index });
+  });
+  return {
+    label,
+    undo: () => {
+      removed.forEach(({ atom, index }) => {
+        if (!sim.atoms.includes(atom)) sim.atoms.splice(Math.min(index, sim.atoms.length), 0, atom);
+      });
+    },
+    redo: () => {
+      sim.atoms = sim.atoms.filter((a) => !idSet.has(a.id));
+    },
+  };
+}
+
+function moveAtomsCommand(label, moves) {
+  const apply = (key) => {
+    moves.forEach((m) => {
+      const { x, y, offsets } = m[key];
+      m.atom.x = x;
+      m.atom.y = y;
+      if (offsets) {
+        m.atom.electrons.forEach((e, i) => {
+          e.angleOffset = offsets[i];
+        });
+      }
+    });
+  };
+  return {
+    label,
+    undo: () => apply('from'),
+    redo: () => apply('to'),
+  };
+}
+
+function setupKeyboardShortcuts() {
+  // Holding Space turns dragging on the canvas into panning. Buttons and
+  // palette cards keep Space for themselves.
+  window.addEventListener('keyup', (e) => {
+    if (e.key !== ' ') return;
+    spaceHeld = false;
+    canvas.classList.remove('panning');
+  });
+  window.addEventListener('blur', () => {
+    spaceHeld = false;
+    canvas.classList.remove('panning');
+  });
+
+  window.addEventListener('keydown', (e) => {
+    const tag = e.target && e.target.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA') return;
+    // Keys that act on the scene belong to the canvas; a focused button
+    // or select keeps them.
+    const onCanvas = e.target === canvas || e.target === document.body;
+
+    if (e.key === ' ' && onCanvas) {
+      e.preventDefault();
+      spaceHeld = true;
+      canvas.classList.add('panning');
+      return;
+    }
+
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      if (!onCanvas || selectedAtomIds.size === 0) return;
+      e.preventDefault();
+      deleteSelection();
+      return;
+    }
+    if (e.key === 'Escape') {
+      selectedAtomIds.clear();
+      selectedBondKey = null;
+      setArmed(null);
+      return;
+    }
+
+    if (!(e.ctrlKey || e.metaKey) || !onCanvas) return;
+    const key = e.key.toLowerCase();
+    if (key === 'd') {
+      e.preventDefault();
+      duplicateSelection();
+    } else if (key === 'a') {
+      e.preventDefault();
+      selectedAtomIds = new Set(sim.atoms.map((a) => a.id));
+    } else if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redo();
+    }
+  });
+}
+
+function setupCanvasKeyboard() {
+  canvas.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab') {
+      // Past the last (or first) atom, Tab leaves the canvas as usual.
+      if (focusNextAtom(e.shiftKey ? -1 : 1)) e.preventDefault();
+      return;
+    }
+    const step = ARROW_STEPS[e.key];
+    if (!step || selectedAtomIds.size === 0) return;
+    e.preventDefault();
+    const size = KEY_MOVE_STEP * (e.shiftKey ? 5 : 1);
+    moveSelectionBy(step.x * size, step.y * size, e.altKey);
+  });
+  canvas.addEventListener('blur', finishKeyMove);
+}
+
+// Select the next atom in canvas order and describe it.
+function focusNextAtom(direction) {
+  finishKeyMove();
+  const current = selectedAtomIds.size === 1 ? sim.atoms.findIndex((a) => selectedAtomIds.has(a.id)) : -1;
+  const next = current === -1 ? (direction > 0 ? 0 : sim.atoms.length - 1) : current + direction;
+  if (next < 0 || next >= sim.atoms.length) {
+    selectedAtomIds.clear();
+    return false;
+  }
+  const atom = sim.atoms[next];
+  selectedAtomIds = new Set([atom.id]);
+  announce(describeAtomForSpeech(atom));
+  return true;
+}
+
+function describeAtomForSpeech(atom) {
+  const parts = [`${atom.element.name}, atom ${sim.atoms.indexOf(atom) + 1} of ${sim.atoms.length}`];
+  const bonds = [];
+  groupBondsByPair(sim).forEach((pairBonds) => {
+    const info = bondInfo(sim, pairBonds);
+    if (!info || (info.a !== atom && info.b !== atom)) return;
+    const other = info.a === atom ? info.b : info.a;
+    bonds.push(`${info.type} bond to ${other.element.name.toLowerCase()}`);
+  });
+  groupTransfersByPair(sim).forEach((transfers) => {
+    const { donorId, acceptorId } = transfers[0];
+    if (donorId !== atom.id && acceptorId !== atom.id) return;
+    const other = atomById(sim, donorId === atom.id ? acceptorId : donorId);
+    if (other) bonds.push(`ionic bond to ${other.element.name.toLowerCase()}`);
+  });
+  parts.push(bonds.length ? bonds.join(', ') : 'not bonded');
+  const charge = formalCharges(sim).get(atom.id);
+  if (charge) parts.push(`charge ${charge > 0 ? 'plus' : 'minus'} ${Math.abs(charge)}`);
+  const molecule = findMolecules(sim).find((m) => m.atoms.includes(atom));
+  if (molecule) parts.push(`part of ${describeMolecule(molecule)}`);
+  const status = checkOctets(sim).find((s) => s.atom === atom);
+  if (status.complete) parts.push('full shell');
+  else if (status.surplus) parts.push(`${status.surplus} electron${status.surplus === 1 ? '' : 's'} to give away`);
+  else parts.push(`needs ${status.missing} more electron${status.missing === 1 ? '' : 's'}`);
+  return `${parts.join('; ')}.`;
+}
+
+// Arrow-key moves act like a drag: the selection (its whole molecules in
+// molecule mode, unless Alt is held) moves and its electrons turn toward
+// nearby atoms. The move is recorded once the keys go quiet.
+function moveSelectionBy(dx, dy, single) {
+  if (!keyMove) {
+    const selection = selectedAtoms();
+    const moving = moleculeDragEnabled && !single ? expandToMolecules(selection) : selection;
+    keyMove = { snapshot: moving.map((a) => ({ atom: a, x: a.x, y: a.y })), timer: null };
+    draggingAtomId = selection[0].id;
+    dragStart = keyMove.snapshot;
+  }
+  keyMove.snapshot.forEach((s) => {
+    s.atom.x += dx;
+    s.atom.y += dy;
+  });
+  clearTimeout(keyMove.timer);
+  keyMove.timer = setTimeout(finishKeyMove, KEY_MOVE_COMMIT_MS);
+}
+
+function finishKeyMove() {
+  if (!keyMove) return;
+  clearTimeout(keyMove.timer);
+  const { snapshot } = keyMove;
+  keyMove = null;
+  draggingAtomId = null;
+  dragStart = null;
+  recordSnapshotMove(snapshot.length === 1 ? `move ${snapshot[0].atom.element.name}` : `move ${snapshot.length} atoms`, snapshot);
+}
+
+// Keyboard-added atoms go to the free spot nearest the canvas centre,
+// far enough from other atoms that nothing bonds by accident.
+function placeAtomFromKeyboard(el) {
+  const spot = freeSpot();
+  const atom = placeAtom(el, spot.x, spot.y);
+  selectedAtomIds = new Set([atom.id]);
+  canvas.focus();
+  announce(`${atom.element.name} added and selected. Use the arrow keys to move it next to another atom.`);
+}
+
+function freeSpot() {
+  const w = canvas.width / window.devicePixelRatio;
+  const h = canvas.height / window.devicePixelRatio;
+  const margin = 40;
+  const topLeft = screenToWorld(margin, margin);
+  const bottomRight = screenToWorld(w - margin, h - margin);
+  const center = viewCenter();
+  const isFree = (p) =>
+    p.x >= topLeft.x &&
+    p.x <= bottomRight.x &&
+    p.y >= topLeft.y &&
+    p.y <= bottomRight.y &&
+    sim.atoms.every((a) => distance(a, p) >= FREE_SPOT_CLEARANCE);
+  if (isFree(center)) return center;
+  for (let ring = 1; ring * 60 < Math.max(w, h) / view.scale; ring++) {
+    const count = ring * 8;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      const p = { x: center.x + Math.cos(angle) * ring * 60, y: center.y + Math.sin(angle) * ring * 60 };
+      if (isFree(p)) return p;
+    }
+  }
+  return center;
+}
+
+function announce(text) {
+  if (!liveRegion) return;
+  // Identical text is not read again, so vary it with a trailing space.
+  liveRegion.textContent = liveRegion.textContent === text ? `${text}\u00a0` : text;
+}
+
+// Bond pairs as the screen reader last heard them.
+function bondPairs() {
+  const pairs = new Map();
+  groupBondsByPair(sim).forEach((pairBonds, key) => {
+    const info = bondInfo(sim, pairBonds);
+    if (info) pairs.set(key, { a: info.a, b: info.b, order: info.order, type: info.type, donor: info.donor });
+  });
+  groupTransfersByPair(sim).forEach((transfers, key) => {
+    const a = atomById(sim, transfers[0].donorId);
+    const b = atomById(sim, transfers[0].acceptorId);
+    if (a && b) pairs.set(key, { a, b, order: transfers.length, type: 'ionic' });
+  });
+  return pairs;
+}
+
+// Listens for bonds forming and breaking. A drag can make and break
+// several bonds in quick succession, so changes are announced only
+// once the bonds have held for ANNOUNCE_SETTLE_MS.
+function bondChanged(event) {
+  if (event.transfer) animateTransfer(event);
+  else animateBond(event);
+  clearTimeout(announceTimer);
+  announceTimer = setTimeout(() => announceBondChanges(bondPairs()), ANNOUNCE_SETTLE_MS);
+}
+
+function announceBondChanges(pairs) {
+  const names = (p) => `${p.a.element.name} and ${p.b.element.name.toLowerCase()}`;
+  const messages = [];
+  const touched = new Set();
+  const electrons = (n) => `${n === 1 ? 'an' : n} electron${n === 1 ? '' : 's'}`;
+  pairs.forEach((p, key) => {
+    const before = announcedBonds.get(key);
+    if (before && before.order === p.order) return;
+    if (p.type === 'ionic') {
+      messages.push(`${p.a.element.name} gave ${electrons(p.order)} to ${p.b.element.name.toLowerCase()}.`);
+    } else {
+      const lent = p.donor ? `, with a lone pair lent by ${p.donor.element.name.toLowerCase()}` : '';
+      messages.push(
+        before
+          ? `The bond between ${names(p).toLowerCase()} is now ${p.type}${lent}.`
+          : `${names(p)} formed a ${p.type} bond${lent}.`
+      );
+    }
+    touched.add(p.a).add(p.b);
+  });
+  announcedBonds.forEach((p, key) => {
+    if (pairs.has(key)) return;
+    messages.push(
+      p.type === 'ionic'
+        ? `${p.b.element.name} gave ${p.order === 1 ? 'its electron' : 'the electrons'} back to ${p.a.element.name.toLowerCase()}.`
+        : `The bond between ${names(p).toLowerCase()} broke.`
+    );
+    touched.add(p.a).add(p.b);
+  });
+  announcedBonds = pairs;
+  if (messages.length === 0) return;
+
+  const text = messages.length > ANNOUNCE_MAX_CHANGES ? [`${messages.length} bonds changed.`] : messages;
+  findMolecules(sim)
+    .filter((m) => m.atoms.some((a) => touched.has(a)))
+    .forEach((m) => text.push(`Now ${describeMolecule(m)}.`));
+  announce(text.join(' '));
+}
+
+function setupCanvasInteractions() {
+  canvas.addEventListener('pointerdown', (e) => {
+    finishKeyMove();
+    if (e.pointerType === 'touch') {
+      touchPoints.set(e.pointerId, screenPoint(e));
+      // A second finger turns whatever the first started into a pinch.
+      if (touchPoints.size === 2) {
+        abandonPointerAction();
+        startPinch();
+        return;
+      }
+      if (touchPoints.size > 2 || pinch) return;
+    }
+    if (spaceHeld || e.button === 1) {
+      e.preventDefault();
+      panDrag = { start: screenPoint(e), view: { x: view.x, y: view.y } };
+      activePointerId = e.pointerId;
+      canvas.setPointerCapture(e.pointerId);
+      return;
+    }
+    const { x, y } = worldPoint(e);
+
+    if (armed && !pickAtom(x, y)) {
+      pendingPlacement = { x, y };
+      activePointerId = e.pointerId;
+      canvas.setPointerCapture(e.pointerId);
+      return;
+    }
+
+    const handle = rotationHandle();
+    if (handle && distance({ x, y }, handle) <= ROTATE_HANDLE_RADIUS + 3) {
+      rotation = {
+        center: handle.center,
+        startAngle: Math.atan2(y - handle.center.y, x - handle.center.x),
+        snapshot: rotationSnapshot(selectedAtoms()),
+      };
+      activePointerId = e.pointerId;
+      canvas.setPointerCapture(e.pointerId);
+      return;
+    }
+
+    // Shared pairs sit on the edge of the valence shells, so they are
+    // hit-tested before atoms. Clicking one inspects its bond.
+    hoveredBondKey = null;
+    const bondKey = e.shiftKey ? null : pickBond(x, y);
+    selectedBondKey = bondKey;
+    if (bondKey) {
+      selectedAtomIds.clear();
+      return;
+    }
+
+    const atom = pickAtom(x, y);
+
+    if (!atom) {
+      // Empty space: start a rubber-band selection. Shift keeps the
+      // current selection and adds to it.
+      const base = e.shiftKey ? new Set(selectedAtomIds) : new Set();
+      if (!e.shiftKey) selectedAtomIds.clear();
+      marquee = { x0: x, y0: y, x1: x, y1: y, base };
+      activePointerId = e.pointerId;
+      canvas.setPointerCapture(e.pointerId);
+      return;
+    }
+
+    if (e.shiftKey) {
+      if (selectedAtomIds.has(atom.id)) selectedAtomIds.delete(atom.id);
+      else selectedAtomIds.add(atom.id);
+      return;
+    }
+
+    // Grabbing an unselected atom selects just that atom (its whole
+    // molecule in molecule mode); grabbing one that is already selected
+    // moves the whole selection with it. Alt overrides molecule mode.
+    const rigid = moleculeDragEnabled && !e.altKey;
+    if (!selectedAtomIds.has(atom.id)) {
+      const picked = rigid ? expandToMolecules([atom]) : [atom];
+      selectedAtomIds = new Set(picked.map((a) => a.id));
+    }
+    const moving = rigid ? expandToMolecules(selectedAtoms()) : selectedAtoms();
+    draggingAtomId = atom.id;
+    dragOffset.x = x - atom.x;
+    dragOffset.y = y - atom.y;
+    dragStart = moving.map((a) => ({ atom: a, x: a.x, y: a.y }));
+    activePointerId = e.pointerId;
+    canvas.setPointerCapture(e.pointerId);
+  });
+
+  canvas.addEventListener('pointermove', (e) => {
+    if (touchPoints.has(e.pointerId)) {
+      touchPoints.set(e.pointerId, screenPoint(e));
+      if (pinch) {
+        updatePinch();
+        return;
+      }
+    }
+    const { x, y } = worldPoint(e);
+    if (activePointerId == null) {
+      hoveredBondKey = e.pointerType === 'mouse' ? pickBond(x, y) : null;
+      return;
+    }
+    if (e.pointerId !== activePointerId) return;
+
+    if (panDrag) {
+      const p = screenPoint(e);
+      view.x = panDrag.view.x + p.x - panDrag.start.x;
+      view.y = panDrag.view.y + p.y - panDrag.start.y;
+      return;
+    }
+    if (rotation) {
+      const angle = Math.atan2(y - rotation.center.y, x - rotation.center.x);
+      rotateSnapshot(rotation.snapshot, rotation.center, normalizeAngle(angle - rotation.startAngle));
+      return;
+    }
+
+    if (marquee) {
+      marquee.x1 = x;
+      marquee.y1 = y;
+      selectedAtomIds = new Set(marquee.base);
+      atomsInRect(marquee).forEach((a) => selectedAtomIds.add(a.id));
+      return;
+    }
+
+    if (!draggingAtomId || !dragStart) return;
+    const grabbed = dragStart.find((s) => s.atom.id === draggingAtomId);
+    if (!grabbed) return;
+    const dx = x - dragOffset.x - grabbed.x;
+    const dy = y - dragOffset.y - grabbed.y;
+    dragStart.forEach((s) => {
+      s.atom.x = s.x + dx;
+      s.atom.y = s.y + dy;
+    });
+  });
+
+  const endDrag = (e) => {
+    touchPoints.delete(e.pointerId);
+    if (pinch && touchPoints.size < 2) {
+      pinch = null;
+      // The finger still down carries on as a pan instead of doing
+      // nothing until it lifts.
+      const [rest] = [...touchPoints];
+      if (rest) {
+        const [id, point] = rest;
+        panDrag = { start: point, view: { x: view.x, y: view.y } };
+        activePointerId = id;
+        canvas.setPointerCapture(id);
+      }
+    }
+    if (e.pointerId !== activePointerId) return;
+    activePointerId = null;
+    canvas.releasePointerCapture(e.pointerId);
+
+    if (panDrag) {
+      panDrag = null;
+      return;
+    }
+    if (pendingPlacement) {
+      if (armed) placeAtom(armed.element, pendingPlacement.x, pendingPlacement.y);
+      pendingPlacement = null;
+      return;
+    }
+    if (marquee) {
+      marquee = null;
+      return;
+    }
+    if (rotation) {
+      recordSnapshotMove('rotate molecule', rotation.snapshot);
+      rotation = null;
+      return;
+    }
+    if (draggingAtomId == null) return;
+
+    draggingAtomId = null;
+    const moves = (dragStart || [])
+      .filter((s) => s.atom.x !== s.x || s.atom.y !== s.y)
+      .map((s) => ({ atom: s.atom, from: { x: s.x, y: s.y }, to: { x: s.atom.x, y: s.atom.y } }));
+    dragStart = null;
+    if (moves.length > 0) {
+      const label = moves.length === 1 ? `move ${moves[0].atom.element.name}` : `move ${moves.length} atoms`;
+      recordCommand(moveAtomsCommand(label, moves), { apply: false });
+    }
+  };
+
+  canvas.addEventListener('pointerup', endDrag);
+  canvas.addEventListener('pointercancel', endDrag);
+  canvas.addEventListener('pointerleave', () => {
+    hoveredBondKey = null;
+  });
+
+  // The wheel zooms about the pointer. Shift + wheel over a molecule (or
+  // the selection) rotates it instead; a burst of wheel events is
+  // recorded as one undoable rotation.
+  canvas.addEventListener('wheel', (e) => {
+    if (!e.shiftKey) {
+      e.preventDefault();
+      const lines = e.deltaMode === 1 ? 16 : 1; // some mice report lines, not pixels
+      const p = screenPoint(e);
+      zoomAt(p.x, p.y, view.scale * Math.exp(-e.deltaY * lines * WHEEL_ZOOM_SPEED));
+      return;
+    }
+    const { x, y } = worldPoint(e);
+    const atom = pickAtom(x, y);
+    if (!atom && !wheelRotation) return;
+    e.preventDefault();
+
+    if (!wheelRotation) {
+      let targets = selectedAtomIds.has(atom.id) ? selectedAtoms() : [atom];
+      if (moleculeDragEnabled) targets = expandToMolecules(targets);
+      wheelRotation = { center: centroid(targets), angle: 0, snapshot: rotationSnapshot(targets), timer: null };
+    }
+
+    // Shift turns vertical scrolling into deltaX in some browsers.
+    const delta = e.deltaY || e.deltaX;
+    wheelRotation.angle = normalizeAngle(wheelRotation.angle + delta * WHEEL_ROTATE_SPEED);
+    rotateSnapshot(wheelRotation.snapshot, wheelRotation.center, wheelRotation.angle);
+
+    clearTimeout(wheelRotation.timer);
+    wheelRotation.timer = setTimeout(() => {
+      recordSnapshotMove('rotate molecule', wheelRotation.snapshot);
+      wheelRotation = null;
+    }, WHEEL_ROTATE_COMMIT_MS);
+  }, { passive: false });
+}
+
+function screenPoint(e) {
+  const rect = canvas.getBoundingClientRect();
+  return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+}
+
+function screenToWorld(x, y) {
+  return toWorld(view, x, y);
+}
+
+// The world point under a pointer event.
+function worldPoint(e) {
+  const p = screenPoint(e);
+  return screenToWorld(p.x, p.y);
+}
+
+function viewCenter() {
+  return screenToWorld(canvas.width / window.devicePixelRatio / 2, canvas.height / window.devicePixelRatio / 2);
+}
+
+function useScreenTransform() {
+  const dpr = window.devicePixelRatio;
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+}
+
+function useWorldTransform() {
+  const dpr = window.devicePixelRatio;
+  ctx.setTransform(dpr * view.scale, 0, 0, dpr * view.scale, dpr * view.x, dpr * view.y);
+}
+
+// Undo whatever a first finger started (drag, box selection, rotation)
+// when a second finger lands: the gesture was a pinch all along.
+function abandonPointerAction() {
+  if (dragStart) {
+    dragStart.forEach((s) => {
+      s.atom.x = s.x;
+      s.atom.y = s.y;
+    });
+  }
+  if (rotation) rotateSnapshot(rotation.snapshot, rotation.center, 0);
+  if (marquee) selectedAtomIds = new Set(marquee.base);
+  draggingAtomId = null;
+  dragStart = null;
+  rotation = null;
+  marquee = null;
+  pendingPlacement = null;
+  panDrag = null;
+  activePointerId = null;
+}
+
+function startPinch() {
+  const [p, q] = [...touchPoints.values()];
+  pinch = beginPinch(view, p, q);
+}
+
+function updatePinch() {
+  const [p, q] = [...touchPoints.values()];
+  pinchView(view, pinch, p, q);
+}
+
+function zoomAt(sx, sy, scale) {
+  zoomViewAt(view, sx, sy, scale);
+}
+
+function zoomBy(factor) {
+  const w = canvas.width / window.devicePixelRatio;
+  const h = canvas.height / window.devicePixelRatio;
+  zoomAt(w / 2, h / 2, view.scale * factor);
+}
+
+// Frame every atom, zooming out as far as needed but never in past 100%.
+function fitAll() {
+  if (sim.atoms.length === 0) return;
+  const w = canvas.width / window.devicePixelRatio;
+  const h = canvas.height / window.devicePixelRatio;
+  const bounds = atomBounds();
+  const scale = Math.min(
+    1,
+    (w - 2 * FIT_PADDING) / (bounds.maxX - bounds.minX),
+    (h - 2 * FIT_PADDING) / (bounds.maxY - bounds.minY)
+  );
+  view.scale = Math.max(MIN_ZOOM, scale);
+  view.x = w / 2 - ((bounds.minX + bounds.maxX) / 2) * view.scale;
+  view.y = h / 2 - ((bounds.minY + bounds.maxY) / 2) * view.scale;
+}
+
+function atomBounds() {
+  return {
+    minX: Math.min(...sim.atoms.map((a) => a.x - a.radiusValence)),
+    minY: Math.min(...sim.atoms.map((a) => a.y - a.radiusValence)),
+    maxX: Math.max(...sim.atoms.map((a) => a.x + a.radiusValence)),
+    maxY: Math.max(...sim.atoms.map((a) => a.y + a.radiusValence)),
+  };
+}
+
+function createMinimap() {
+  minimap = document.createElement('canvas');
+  minimap.className = 'minimap';
+  minimap.width = MINIMAP_WIDTH * window.devicePixelRatio;
+  minimap.height = MINIMAP_HEIGHT * window.devicePixelRatio;
+  minimap.style.width = `${MINIMAP_WIDTH}px`;
+  minimap.style.height = `${MINIMAP_HEIGHT}px`;
+  minimap.setAttribute('aria-hidden', 'true');
+  minimap.hidden = true;
+
+  const moveView = (e) => {
+    if (!minimapFrame) return;
+    const rect = minimap.getBoundingClientRect();
+    const f = minimapFrame;
+    const world = {
+      x: f.minX + (e.clientX - rect.left - f.offsetX) / f.scale,
+      y: f.minY + (e.clientY - rect.top - f.offsetY) / f.scale,
+    };
+    const w = canvas.width / window.devicePixelRatio;
+    const h = canvas.height / window.devicePixelRatio;
+    view.x = w / 2 - world.x * view.scale;
+    view.y = h / 2 - world.y * view.scale;
+  };
+  minimap.addEventListener('pointerdown', (e) => {
+    minimapDrag = e.pointerId;
+    minimap.setPointerCapture(e.pointerId);
+    moveView(e);
+  });
+  minimap.addEventListener('pointermove', (e) => {
+    if (e.pointerId === minimapDrag) moveView(e);
+  });
+  const stop = (e) => {
+    if (e.pointerId === minimapDrag) minimapDrag = null;
+  };
+  minimap.addEventListener('pointerup', stop);
+  minimap.addEventListener('pointercancel', stop);
+  return minimap;
+}
+
+// Atoms, bonds and the visible area, scaled to fit the minimap. The
+// mapping is kept in minimapFrame for clicks; it is fixed while the
+// pointer is on the minimap so the view does not jump under it.
+function drawMinimap() {
+  if (!minimap) return;
+  minimap.hidden = sim.atoms.length === 0;
+  if (minimap.hidden) return;
+
+  const w = canvas.width / window.devicePixelRatio;
+  const h = canvas.height / window.devicePixelRatio;
+  const topLeft = screenToWorld(0, 0);
+  const bottomRight = screenToWorld(w, h);
+  if (minimapDrag == null || !minimapFrame) {
+    const atoms = atomBounds();
+    const minX = Math.min(atoms.minX, topLeft.x);
+    const minY = Math.min(atoms.minY, topLeft.y);
+    const spanX = Math.max(atoms.maxX, bottomRight.x) - minX;
+    const spanY = Math.max(atoms.maxY, bottomRight.y) - minY;
+    const pad = 6;
+    const scale = Math.min((MINIMAP_WIDTH - 2 * pad) / spanX, (MINIMAP_HEIGHT - 2 * pad) / spanY);
+    minimapFrame = {
+      minX,
+      minY,
+      scale,
+      offsetX: (MINIMAP_WIDTH - spanX * scale) / 2,
+      offsetY: (MINIMAP_HEIGHT - spanY * scale) / 2,
+    };
+  }
+  const { minX, minY, scale, offsetX, offsetY } = minimapFrame;
+  const mx = (x) => offsetX + (x - minX) * scale;
+  const my = (y) => offsetY + (y - minY) * scale;
+
+  const c = minimap.getContext('2d');
+  c.setTransform(window.devicePixelRatio, 0, 0, window.devicePixelRatio, 0, 0);
+  c.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+
+  c.strokeStyle = 'rgba(248, 250, 252, 0.6)';
+  c.lineWidth = 1;
+  const byId = new Map(sim.atoms.map((a) => [a.id, a]));
+  c.beginPath();
+  groupBondsByPair(sim).forEach((pairBonds) => {
+    const a = byId.get(pairBonds[0].aId);
+    const b = byId.get(pairBonds[0].bId);
+    if (!a || !b) return;
+    c.moveTo(mx(a.x), my(a.y));
+    c.lineTo(mx(b.x), my(b.y));
+  });
+  c.stroke();
+
+  sim.atoms.forEach((atom) => {
+    c.fillStyle = atom.element.color;
+    c.beginPath();
+    c.arc(mx(atom.x), my(atom.y), 2.5, 0, Math.PI * 2);
+    c.fill();
+  });
+
+  c.strokeStyle = 'rgba(56, 189, 248, 0.9)';
+  c.strokeRect(mx(topLeft.x), my(topLeft.y), (bottomRight.x - topLeft.x) * scale, (bottomRight.y - topLeft.y) * scale);
+}
+
+function placeAtom(element, x, y) {
+  const atom = spawnAtomFromElement(sim, findElement(element.symbol) || element, x, y);
+  recordCommand(addAtomsCommand(`add ${atom.element.name}`, [atom]), { apply: false });
+  return atom;
+}
+
+// Press and move on a card drags a ghost atom that is dropped where the
+// pointer is released over the canvas; a press without moving toggles
+// tap-to-place for that element.
+function setupPaletteCardPointer(card, element) {
+  card.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    paletteDrag = { pointerId: e.pointerId, start: { x: e.clientX, y: e.clientY }, ghost: null };
+    card.setPointerCapture(e.pointerId);
+  });
+
+  card.addEventListener('pointermove', (e) => {
+    if (!paletteDrag || e.pointerId !== paletteDrag.pointerId) return;
+    if (!paletteDrag.ghost) {
+      if (distance(paletteDrag.start, { x: e.clientX, y: e.clientY }) < PALETTE_DRAG_THRESHOLD) return;
+      paletteDrag.ghost = createAtomGhost(element);
+    }
+    paletteDrag.ghost.style.left = `${e.clientX}px`;
+    paletteDrag.ghost.style.top = `${e.clientY}px`;
+    canvas.classList.toggle('drop-target', overCanvas(e));
+  });
+
+  card.addEventListener('pointerup', (e) => {
+    if (!paletteDrag || e.pointerId !== paletteDrag.pointerId) return;
+    const { ghost } = paletteDrag;
+    paletteDrag = null;
+    if (!ghost) {
+      setArmed(armed && armed.card === card ? null : { element, card });
+      return;
+    }
+    ghost.remove();
+    canvas.classList.remove('drop-target');
+    if (!overCanvas(e)) return;
+    const { x, y } = worldPoint(e);
+    selectedAtomIds = new Set([placeAtom(element, x, y).id]);
+  });
+
+  card.addEventListener('pointercancel', () => {
+    if (paletteDrag && paletteDrag.ghost) paletteDrag.ghost.remove();
+    canvas.classList.remove('drop-target');
+    paletteDrag = null;
+  });
+}
+
+function overCanvas(e) {
+  const rect = canvas.getBoundingClientRect();
+  return e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+}
+
+// A valence-shell sized bubble that follows the pointer during a
+// palette drag, at the canvas zoom so it matches the dropped atom.
+function createAtomGhost(element) {
+  const ghost = document.createElement('div');
+  ghost.className = 'atom-ghost';
+  ghost.textContent = element.symbol;
+  const size = 2 * 32 * view.scale;
+  ghost.style.width = `${size}px`;
+  ghost.style.height = `${size}px`;
+  ghost.style.setProperty('--atom-color', element.color);
+  document.body.appendChild(ghost);
+  return ghost;
+}
+
+function setArmed(next) {
+  if (armed) {
+    armed.card.classList.remove('armed');
+    armed.card.setAttribute('aria-pressed', 'false');
+  }
+  armed = next;
+  canvas.classList.toggle('placing', !!armed);
+  if (!armed) return;
+  armed.card.classList.add('armed');
+  armed.card.setAttribute('aria-pressed', 'true');
+  announce(`${armed.element.name} picked. Tap empty space on the canvas to place it; tap the card again to stop.`);
+}
+
 function init() {
   createLayout();
   resizeCanvas();
   setupCanvasInteractions();
+  setupKeyboardShortcuts();
+  setupCanvasKeyboard();
+  restoreInitialScene();
+  // The scene restored on page load is not news.
+  updateBonds(sim);
+  announcedBonds = bondPairs();
+  onBondChange(sim, bondChanged);
   window.addEventListener('resize', resizeCanvas);
   requestAnimationFrame(render);
 }
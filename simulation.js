@@ -0,0 +1,2049 @@
+// Covalent Builder simulation core: elements, bonding rules and all
+// atom/bond state, with no DOM or canvas access so it runs in Node as
+// well as the browser. The page loads it as a plain script and reads
+// it from `window.CovalentSim`; Node code can require() it.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.CovalentSim = api;
+})(this, function () {
+  // `valence` is the number of valence electrons; `bondingCapacity` is
+  // how many of them are unpaired and can be shared in covalent bonds.
+  // The rest sit in lone pairs, e.g. nitrogen has 5 valence electrons:
+  // 3 bonding electrons and one lone pair. Noble gases have a full shell
+  // and a bonding capacity of 0, so they never bond. `electronegativity`
+  // is the Pauling value (null for He, Ne and Ar, which have none).
+  // Metals (`metal: true`) never share electrons: next to a much more
+  // electronegative non-metal they give their valence electrons away
+  // instead (see IONIC_THRESHOLD). A `charge` marks a bare ion such as
+  // H+, a proton with an empty shell that can only take a whole lone
+  // pair (a dative bond); `formulaSymbol` is the element it counts as in
+  // formulas and bond data.
+  const ELEMENTS = [
+    { symbol: 'H', name: 'Hydrogen', Z: 1, valence: 1, bondingCapacity: 1, electronegativity: 2.2, color: '#38bdf8' },
+    { symbol: 'H+', name: 'Hydrogen ion', Z: 1, valence: 0, bondingCapacity: 0, electronegativity: 2.2, color: '#7dd3fc', charge: 1, formulaSymbol: 'H' },
+    { symbol: 'C', name: 'Carbon', Z: 6, valence: 4, bondingCapacity: 4, electronegativity: 2.55, color: '#f97316' },
+    { symbol: 'N', name: 'Nitrogen', Z: 7, valence: 5, bondingCapacity: 3, electronegativity: 3.04, color: '#22c55e' },
+    { symbol: 'O', name: 'Oxygen', Z: 8, valence: 6, bondingCapacity: 2, electronegativity: 3.44, color: '#a855f7' },
+    { symbol: 'F', name: 'Fluorine', Z: 9, valence: 7, bondingCapacity: 1, electronegativity: 3.98, color: '#a3e635' },
+    { symbol: 'P', name: 'Phosphorus', Z: 15, valence: 5, bondingCapacity: 3, electronegativity: 2.19, color: '#fb7185' },
+    { symbol: 'S', name: 'Sulfur', Z: 16, valence: 6, bondingCapacity: 2, electronegativity: 2.58, color: '#facc15' },
+    { symbol: 'Cl', name: 'Chlorine', Z: 17, valence: 7, bondingCapacity: 1, electronegativity: 3.16, color: '#4ade80' },
+    { symbol: 'Se', name: 'Selenium', Z: 34, valence: 6, bondingCapacity: 2, electronegativity: 2.55, color: '#fbbf24' },
+    { symbol: 'Br', name: 'Bromine', Z: 35, valence: 7, bondingCapacity: 1, electronegativity: 2.96, color: '#d97706' },
+    { symbol: 'I', name: 'Iodine', Z: 53, valence: 7, bondingCapacity: 1, electronegativity: 2.66, color: '#c084fc' },
+    { symbol: 'He', name: 'Helium', Z: 2, valence: 2, bondingCapacity: 0, electronegativity: null, color: '#f0abfc' },
+    { symbol: 'Ne', name: 'Neon', Z: 10, valence: 8, bondingCapacity: 0, electronegativity: null, color: '#f87171' },
+    { symbol: 'Ar', name: 'Argon', Z: 18, valence: 8, bondingCapacity: 0, electronegativity: null, color: '#818cf8' },
+    { symbol: 'Kr', name: 'Krypton', Z: 36, valence: 8, bondingCapacity: 0, electronegativity: 3.0, color: '#60a5fa' },
+    { symbol: 'Xe', name: 'Xenon', Z: 54, valence: 8, bondingCapacity: 0, electronegativity: 2.6, color: '#2dd4bf' },
+    { symbol: 'Li', name: 'Lithium', Z: 3, valence: 1, bondingCapacity: 1, electronegativity: 0.98, color: '#f472b6', metal: true },
+    { symbol: 'Na', name: 'Sodium', Z: 11, valence: 1, bondingCapacity: 1, electronegativity: 0.93, color: '#fb923c', metal: true },
+    { symbol: 'K', name: 'Potassium', Z: 19, valence: 1, bondingCapacity: 1, electronegativity: 0.82, color: '#e879f9', metal: true },
+    { symbol: 'Mg', name: 'Magnesium', Z: 12, valence: 2, bondingCapacity: 2, electronegativity: 1.31, color: '#cbd5e1', metal: true },
+    { symbol: 'Ca', name: 'Calcium', Z: 20, valence: 2, bondingCapacity: 2, electronegativity: 1.0, color: '#e2e8f0', metal: true },
+    { symbol: 'Al', name: 'Aluminium', Z: 13, valence: 3, bondingCapacity: 3, electronegativity: 1.61, color: '#94a3b8', metal: true },
+  ];
+
+  // Common molecules keyed by their Hill-order formula. `display` is the
+  // conventional way the formula is written in lessons when it differs
+  // from strict Hill order (e.g. ammonia is H3N in Hill order).
+  const KNOWN_MOLECULES = {
+    H2: { name: 'Hydrogen' },
+    N2: { name: 'Nitrogen' },
+    O2: { name: 'Oxygen' },
+    H2O: { name: 'Water' },
+    H2O2: { name: 'Hydrogen peroxide' },
+    H3N: { name: 'Ammonia', display: 'NH3' },
+    H4N2: { name: 'Hydrazine', display: 'N2H4' },
+    CH4: { name: 'Methane' },
+    CO2: { name: 'Carbon dioxide' },
+    CH2O: { name: 'Formaldehyde' },
+    CH4O: { name: 'Methanol' },
+    CHN: { name: 'Hydrogen cyanide', display: 'HCN' },
+    C2H2: { name: 'Ethyne' },
+    C2H4: { name: 'Ethene' },
+    C2H6: { name: 'Ethane' },
+    C2H6O: { name: 'Ethanol' },
+    F2: { name: 'Fluorine' },
+    Cl2: { name: 'Chlorine' },
+    Br2: { name: 'Bromine' },
+    I2: { name: 'Iodine' },
+    FH: { name: 'Hydrogen fluoride', display: 'HF' },
+    ClH: { name: 'Hydrogen chloride', display: 'HCl' },
+    BrH: { name: 'Hydrogen bromide', display: 'HBr' },
+    HI: { name: 'Hydrogen iodide' },
+    H2S: { name: 'Hydrogen sulfide' },
+    H2Se: { name: 'Hydrogen selenide' },
+    H3P: { name: 'Phosphine', display: 'PH3' },
+    Cl3P: { name: 'Phosphorus trichloride', display: 'PCl3' },
+    F3N: { name: 'Nitrogen trifluoride', display: 'NF3' },
+    F2O: { name: 'Oxygen difluoride', display: 'OF2' },
+    CCl4: { name: 'Tetrachloromethane' },
+    CH3Cl: { name: 'Chloromethane' },
+    CS2: { name: 'Carbon disulfide' },
+    // Ionic compounds (formula units), written cation first.
+    ClNa: { name: 'Sodium chloride', display: 'NaCl' },
+    ClK: { name: 'Potassium chloride', display: 'KCl' },
+    ClLi: { name: 'Lithium chloride', display: 'LiCl' },
+    BrNa: { name: 'Sodium bromide', display: 'NaBr' },
+    BrK: { name: 'Potassium bromide', display: 'KBr' },
+    IK: { name: 'Potassium iodide', display: 'KI' },
+    FNa: { name: 'Sodium fluoride', display: 'NaF' },
+    FLi: { name: 'Lithium fluoride', display: 'LiF' },
+    Na2O: { name: 'Sodium oxide' },
+    Li2O: { name: 'Lithium oxide' },
+    K2O: { name: 'Potassium oxide' },
+    MgO: { name: 'Magnesium oxide' },
+    CaO: { name: 'Calcium oxide' },
+    Cl2Mg: { name: 'Magnesium chloride', display: 'MgCl2' },
+    CaCl2: { name: 'Calcium chloride' },
+    CaF2: { name: 'Calcium fluoride' },
+    F2Mg: { name: 'Magnesium fluoride', display: 'MgF2' },
+    MgS: { name: 'Magnesium sulfide' },
+    Na2S: { name: 'Sodium sulfide' },
+    AlF3: { name: 'Aluminium fluoride' },
+    Al2O3: { name: 'Aluminium oxide' },
+    HNaO: { name: 'Sodium hydroxide', display: 'NaOH' },
+    CO: { name: 'Carbon monoxide' },
+    // Molecular ions, keyed by formula and charge.
+    'H4N+': { name: 'Ammonium', display: 'NH4' },
+    'H3O+': { name: 'Hydronium' },
+  };
+
+  // Controls how strongly electrons "turn" toward nearby atoms when
+  // an atom is being dragged.
+  const ELECTRON_ORIENT_SPEED = 0.08;
+  const ELECTRON_ORIENT_RANGE = 120; // px between nuclei, beyond the separation where pairs form
+
+  // Angular half-gap (radians) between the two electrons of a lone pair.
+  const LONE_PAIR_SPREAD = 0.22;
+
+  // Eased electron moves (see reorientBondElectrons) never trail their
+  // target by more than this (radians), so a shared pair stays within
+  // reach while its electrons catch up; closer than ELECTRON_SNAP they
+  // just land.
+  const MAX_ELECTRON_LAG = 0.35;
+  const ELECTRON_SNAP = 1e-3;
+
+  function lonePairCount(el) {
+    return (el.valence - el.bondingCapacity) / 2;
+  }
+
+  function formulaSymbol(el) {
+    return el.formulaSymbol || el.symbol;
+  }
+
+  // Valence electrons of the neutral atom: a bare H+ is still hydrogen.
+  function neutralValence(el) {
+    return el.valence + (el.charge || 0);
+  }
+
+  // Bond-rule table: the maximum bond order for every pair of elements,
+  // keyed by the two symbols in alphabetical order (e.g. "C-O"). It is
+  // derived from the elements' bonding capacities, capped at a triple
+  // bond; metals share with nothing. All bonding code consults this
+  // instead of special-casing pairs.
+  const MAX_BOND_ORDER = 3;
+  const BOND_RULES = buildBondRules(ELEMENTS);
+
+  function bondRuleKey(symbolA, symbolB) {
+    return symbolA < symbolB ? `${symbolA}-${symbolB}` : `${symbolB}-${symbolA}`;
+  }
+
+  function buildBondRules(elements) {
+    const rules = {};
+    elements.forEach((a) => {
+      elements.forEach((b) => {
+        rules[bondRuleKey(a.symbol, b.symbol)] = {
+          maxOrder: a.metal || b.metal ? 0 : Math.min(MAX_BOND_ORDER, a.bondingCapacity, b.bondingCapacity),
+        };
+      });
+    });
+    return rules;
+  }
+
+  function bondRuleFor(elA, elB) {
+    return BOND_RULES[bondRuleKey(elA.symbol, elB.symbol)] || { maxOrder: 0 };
+  }
+
+  // A metal next to a non-metal at least this much more electronegative
+  // (the usual textbook cut-off) transfers electrons instead of sharing.
+  const IONIC_THRESHOLD = 1.7;
+
+  function isIonicPair(elA, elB) {
+    if (!elA.metal === !elB.metal) return false;
+    if (elA.electronegativity == null || elB.electronegativity == null) return false;
+    return Math.abs(elA.electronegativity - elB.electronegativity) >= IONIC_THRESHOLD;
+  }
+
+  // Typical bond lengths (pm) and average bond enthalpies (kJ/mol) from
+  // standard data tables, as [symbol, symbol, order, length, enthalpy].
+  // Pairs without a reliable textbook value are left out.
+  const BOND_DATA = buildBondData([
+    ['H', 'H', 1, 74, 436],
+    ['C', 'H', 1, 109, 413],
+    ['N', 'H', 1, 101, 391],
+    ['O', 'H', 1, 96, 463],
+    ['F', 'H', 1, 92, 567],
+    ['Cl', 'H', 1, 127, 431],
+    ['Br', 'H', 1, 141, 366],
+    ['I', 'H', 1, 161, 299],
+    ['S', 'H', 1, 134, 347],
+    ['P', 'H', 1, 144, 322],
+    ['Se', 'H', 1, 146, 276],
+    ['C', 'C', 1, 154, 348],
+    ['C', 'C', 2, 134, 614],
+    ['C', 'C', 3, 120, 839],
+    ['C', 'N', 1, 147, 293],
+    ['C', 'N', 2, 127, 615],
+    ['C', 'N', 3, 116, 891],
+    ['C', 'O', 1, 143, 358],
+    ['C', 'O', 2, 123, 799],
+    ['C', 'O', 3, 113, 1072],
+    ['C', 'F', 1, 135, 485],
+    ['C', 'Cl', 1, 177, 328],
+    ['C', 'Br', 1, 194, 276],
+    ['C', 'I', 1, 214, 240],
+    ['C', 'S', 1, 182, 259],
+    ['C', 'S', 2, 160, 573],
+    ['C', 'P', 1, 184, 264],
+    ['N', 'N', 1, 145, 163],
+    ['N', 'N', 2, 125, 418],
+    ['N', 'N', 3, 110, 945],
+    ['N', 'O', 1, 140, 201],
+    ['N', 'O', 2, 121, 607],
+    ['N', 'F', 1, 136, 272],
+    ['N', 'Cl', 1, 175, 200],
+    ['O', 'O', 1, 148, 146],
+    ['O', 'O', 2, 121, 498],
+    ['O', 'F', 1, 142, 190],
+    ['O', 'Cl', 1, 164, 203],
+    ['F', 'F', 1, 142, 155],
+    ['Cl', 'Cl', 1, 199, 242],
+    ['Br', 'Br', 1, 228, 193],
+    ['I', 'I', 1, 267, 151],
+    ['Cl', 'F', 1, 163, 253],
+    ['Br', 'Cl', 1, 214, 218],
+    ['I', 'Cl', 1, 232, 208],
+    ['I', 'Br', 1, 247, 175],
+    ['P', 'P', 1, 221, 201],
+    ['P', 'F', 1, 156, 490],
+    ['P', 'Cl', 1, 204, 326],
+    ['P', 'O', 1, 163, 335],
+    ['P', 'O', 2, 150, 544],
+    ['S', 'S', 1, 205, 266],
+    ['S', 'O', 2, 143, 522],
+    ['S', 'F', 1, 158, 327],
+    ['S', 'Cl', 1, 201, 255],
+    ['Se', 'Se', 1, 232, 172],
+  ]);
+
+  // Electronegativity difference from which a bond counts as polar
+  // (C–H, at 0.35, is treated as non-polar as in most courses).
+  const POLAR_BOND_THRESHOLD = 0.4;
+
+  const BOND_TYPE_NAMES = { 1: 'single', 2: 'double', 3: 'triple' };
+
+  // How far (px per unit of electronegativity difference) a polar
+  // bond's shared pairs are drawn toward the more electronegative atom.
+  const POLAR_PAIR_SHIFT = 6;
+  const MAX_POLAR_PAIR_SHIFT = 12;
+
+  // Net dipoles (in units of electronegativity difference) below this
+  // count as zero: the bond dipoles cancel and the molecule is non-polar.
+  const NONPOLAR_DIPOLE_LIMIT = 0.15;
+
+  function buildBondData(rows) {
+    const data = {};
+    rows.forEach(([a, b, order, length, enthalpy]) => {
+      data[`${bondRuleKey(a, b)}:${order}`] = { length, enthalpy };
+    });
+    return data;
+  }
+
+  function bondProperties(elA, elB, order) {
+    return BOND_DATA[`${bondRuleKey(formulaSymbol(elA), formulaSymbol(elB))}:${order}`] || null;
+  }
+
+  // Electronegativity difference of a bond and which atom pulls the
+  // shared electrons harder (null when the bond is non-polar).
+  function bondPolarity(elA, elB) {
+    if (elA.electronegativity == null || elB.electronegativity == null) {
+      return { difference: 0, polar: false, negative: null };
+    }
+    const difference = Math.abs(elA.electronegativity - elB.electronegativity);
+    const polar = difference >= POLAR_BOND_THRESHOLD;
+    let negative = null;
+    if (polar) negative = elA.electronegativity > elB.electronegativity ? elA : elB;
+    return { difference, polar, negative };
+  }
+
+  // Angular offsets (radians) of each shared pair around the bond axis.
+  // A single pair sits on the axis; double and triple bonds fan out
+  // symmetrically so every pair stays visible.
+  function bondPairOffsets(order) {
+    if (order >= 3) return [-0.4, 0, 0.4];
+    if (order === 2) return [-0.25, 0.25];
+    return [0];
+  }
+
+  // VSEPR relaxation: bonds act as springs toward BOND_TARGET_LENGTH and
+  // the neighbors of each central atom are eased toward the angles of
+  // its predicted shape, with lone pairs taking up the remaining space.
+  const BOND_TARGET_LENGTH = 66; // px between bonded nuclei
+  const SPRING_STRENGTH = 0.1;
+  const ANGLE_STRENGTH = 0.12;
+
+  // Keyed by "<bonded neighbors>-<lone pairs>". `angle` is the real 3D
+  // bond angle shown to students; `gaps` are the 2D angles (degrees)
+  // between consecutive neighbors on the canvas. Tetrahedral shapes are
+  // drawn flat as a cross, the usual projection in Lewis diagrams.
+  const VSEPR_SHAPES = {
+    '2-0': { name: 'Linear', angle: 180, gaps: [180] },
+    '2-1': { name: 'Bent', angle: 117, gaps: [117] },
+    '2-2': { name: 'Bent', angle: 104.5, gaps: [104.5] },
+    '2-3': { name: 'Linear', angle: 180, gaps: [180] },
+    '3-0': { name: 'Trigonal planar', angle: 120, gaps: [120, 120] },
+    '3-1': { name: 'Trigonal pyramidal', angle: 107, gaps: [107, 107] },
+    '3-2': { name: 'T-shaped', angle: 90, gaps: [90, 90] },
+    '4-0': { name: 'Tetrahedral', angle: 109.5, gaps: [90, 90, 90] },
+    '4-1': { name: 'Seesaw', angle: 90, gaps: [90, 90, 90] },
+    '4-2': { name: 'Square planar', angle: 90, gaps: [90, 90, 90] },
+  };
+
+  // Version stamped into serialized scenes; loadScene() rejects others.
+  const SCENE_VERSION = 1;
+
+  // All mutable simulation state lives in one object that every
+  // function receives explicitly, so several independent simulations
+  // (e.g. one per test) can exist side by side. `transfers` lists the
+  // electrons metals have given to non-metals, one entry per electron:
+  // { id, donorId, acceptorId, electronId, partnerId }, where the partner
+  // is the acceptor's unpaired electron the newcomer pairs up with.
+  function createSimulation() {
+    return {
+      atoms: [],
+      bonds: [],
+      transfers: [],
+      nextId: 1,
+    };
+  }
+
+  function spawnAtomFromElement(sim, el, x, y) {
+    const id = sim.nextId++;
+    const radiusCore = 10;
+    const radiusValence = 32;
+    const electrons = [];
+
+    // Spread electron domains evenly around the shell: each lone pair
+    // is one domain holding two electrons side by side, each bonding
+    // electron is a domain of its own.
+    const lonePairs = lonePairCount(el);
+    const domainCount = lonePairs + el.bondingCapacity;
+    const angleStep = (Math.PI * 2) / domainCount;
+    const addElectron = (baseAngle, lonePair) => {
+      electrons.push({
+        id: `${id}-e${electrons.length}`,
+        baseAngle,
+        angleOffset: 0,
+        bondedTo: null,
+        lonePair,
+      });
+    };
+    for (let d = 0; d < domainCount; d++) {
+      const angle = d * angleStep;
+      if (d < lonePairs) {
+        addElectron(angle - LONE_PAIR_SPREAD, d);
+        addElectron(angle + LONE_PAIR_SPREAD, d);
+      } else {
+        addElectron(angle, null);
+      }
+    }
+    sim.atoms.push({
+      id,
+      element: el,
+      x,
+      y,
+      radiusCore,
+      radiusValence,
+      electrons,
+    });
+    return sim.atoms[sim.atoms.length - 1];
+  }
+
+  function findElement(symbol) {
+    return ELEMENTS.find((el) => el.symbol === symbol) || null;
+  }
+
+  function distance(a, b) {
+    const dx = a.x - b.x;
+    const dy = a.y - b.y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  function normalizeAngle(a) {
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return a;
+  }
+
+  function electronPosition(atom, e) {
+    const angle = e.baseAngle + e.angleOffset;
+    const ex = atom.x + Math.cos(angle) * atom.radiusValence;
+    const ey = atom.y + Math.sin(angle) * atom.radiusValence;
+    return { x: ex, y: ey };
+  }
+
+  // Two free electrons closer than this become a shared pair; a bond
+  // only breaks once its closest shared pair is pulled further apart
+  // than PAIR_BREAK_DISTANCE, so bonds near the threshold don't flicker.
+  const PAIR_CAPTURE_DISTANCE = 30;
+  const PAIR_BREAK_DISTANCE = 45;
+
+  // Per-simulation bond engine state, kept beside the sim (not in it) so
+  // scenes and callers keep seeing plain atom and bond data:
+  // - id-keyed maps of atoms and electrons, rebuilt when atoms are
+  //   added, removed or the atoms array is replaced;
+  // - what every atom looked like at the last bond update, so only
+  //   atoms that moved (or turned their electrons) are looked at;
+  // - the bonds and electron transfers as last seen, and the bond event
+  //   listeners.
+  const engines = new WeakMap();
+
+  function bondEngine(sim) {
+    let engine = engines.get(sim);
+    if (!engine) {
+      engine = {
+        atomsRef: null,
+        atomCount: -1,
+        atomsById: new Map(),
+        electronsById: new Map(),
+        indexOf: new Map(),
+        bondsRef: null,
+        knownBonds: [],
+        transfersRef: null,
+        knownTransfers: [],
+        seen: new Map(),
+        listeners: [],
+      };
+      engines.set(sim, engine);
+    }
+    if (engine.atomsRef !== sim.atoms || engine.atomCount !== sim.atoms.length) {
+      engine.atomsRef = sim.atoms;
+      engine.atomCount = sim.atoms.length;
+      engine.atomsById = new Map();
+      engine.electronsById = new Map();
+      engine.indexOf = new Map();
+      sim.atoms.forEach((atom, i) => {
+        engine.atomsById.set(atom.id, atom);
+        engine.indexOf.set(atom.id, i);
+        atom.electrons.forEach((e) => engine.electronsById.set(e.id, e));
+      });
+    }
+    return engine;
+  }
+
+  function atomById(sim, id) {
+    return bondEngine(sim).atomsById.get(id) || null;
+  }
+
+  function electronById(sim, id) {
+    return bondEngine(sim).electronsById.get(id) || null;
+  }
+
+  // Listen for shared pairs forming and breaking. The listener gets
+  // { type: 'formed' | 'broken', bond, a, b, order } once updateBonds()
+  // has finished, with `order` the pair's bond order after the change.
+  // Electron transfers between a metal and a non-metal are reported as
+  // { type: 'transferred' | 'returned', transfer, a, b, electrons }, with
+  // `a` the metal and `electrons` how many it has given `b` afterwards.
+  // Returns a function that removes the listener.
+  function onBondChange(sim, listener) {
+    const engine = bondEngine(sim);
+    engine.listeners.push(listener);
+    return () => {
+      engine.listeners = engine.listeners.filter((l) => l !== listener);
+    };
+  }
+
+  function atomChanged(atom, seen) {
+    if (!seen || seen.atom !== atom || seen.x !== atom.x || seen.y !== atom.y) return true;
+    return atom.electrons.some((e, i) => seen.offsets[i] !== e.angleOffset);
+  }
+
+  // Uniform grid over the atoms with cells as wide as the largest
+  // separation at which two atoms can still share a pair, so every
+  // bonding partner of an atom is in its own or an adjacent cell.
+  // A hair of slack keeps rounding in electronPosition() from ever
+  // putting a pair in range that the grid ruled out.
+  const REACH_SLACK = 1e-6;
+
+  function spatialGrid(atoms) {
+    const reach = Math.max(1, ...atoms.map((a) => a.radiusValence)) * 2 + PAIR_CAPTURE_DISTANCE + REACH_SLACK;
+    const cells = new Map();
+    const cellOf = (atom) => [Math.floor(atom.x / reach), Math.floor(atom.y / reach)];
+    atoms.forEach((atom) => {
+      const [cx, cy] = cellOf(atom);
+      const key = `${cx},${cy}`;
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(atom);
+    });
+    // Atoms whose valence shells are close enough for a shared pair.
+    const inRange = (atom) => {
+      const [cx, cy] = cellOf(atom);
+      const found = [];
+      for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+          (cells.get(`${cx + dx},${cy + dy}`) || []).forEach((other) => {
+            if (other === atom) return;
+            const reachBetween = atom.radiusValence + other.radiusValence + PAIR_CAPTURE_DISTANCE + REACH_SLACK;
+            if (distance(atom, other) <= reachBetween) found.push(other);
+          });
+        }
+      }
+      return found;
+    };
+    return { inRange };
+  }
+
+  // Bring sim.bonds and sim.transfers up to date. Bonds persist from
+  // one call to the next and keep their electrons: a bond only breaks
+  // when its atoms are pulled apart (or one is removed), and new pairs
+  // only form from electrons that are still free. Electron transfers
+  // and dative bonds follow the same rules with the nuclei's separation. Only atoms that
+  // changed since the last call, and atoms that just lost a bond, are
+  // looked at.
+  function updateBonds(sim) {
+    const engine = bondEngine(sim);
+    const events = [];
+    if (engine.bondsRef !== sim.bonds) adoptBonds(sim, engine, events);
+    if (engine.transfersRef !== sim.transfers) adoptTransfers(sim, engine, events);
+
+    const changed = new Set();
+    sim.atoms.forEach((atom) => {
+      if (!atomChanged(atom, engine.seen.get(atom.id))) return;
+      changed.add(atom.id);
+      engine.seen.set(atom.id, { atom, x: atom.x, y: atom.y, offsets: atom.electrons.map((e) => e.angleOffset) });
+    });
+    let removed = false;
+    if (engine.seen.size > sim.atoms.length) {
+      engine.seen.forEach((_, id) => {
+        if (engine.atomsById.has(id)) return;
+        engine.seen.delete(id);
+        removed = true;
+      });
+    }
+    if (changed.size === 0 && !removed) {
+      emitBondEvents(engine, events);
+      return;
+    }
+
+    // Break bonds to removed atoms, and pairs of changed atoms whose
+    // closest shared pair is now out of reach.
+    const freed = new Set();
+    const broken = new Set();
+    const involved = (id) => changed.has(id) || !engine.atomsById.has(id);
+    const touched = sim.bonds.filter((bond) => involved(bond.aId) || involved(bond.bId));
+    groupBondsByPair({ bonds: touched }).forEach((pairBonds) => {
+      const { aId, bId } = pairBonds[0];
+      const a = engine.atomsById.get(aId);
+      const b = engine.atomsById.get(bId);
+      let breaks = !a || !b;
+      if (!breaks) {
+        // A dative pair belongs to one atom alone, so the nuclei's
+        // separation decides, as for ions.
+        const gap = Math.min(
+          ...pairBonds.map((bond) => {
+            if (bond.dative) return distance(a, b) - a.radiusValence - b.radiusValence;
+            const [p, q] = bond.aId === aId ? [a, b] : [b, a];
+            const eA = engine.electronsById.get(bond.eAId);
+            const eB = engine.electronsById.get(bond.eBId);
+            return eA && eB ? distance(electronPosition(p, eA), electronPosition(q, eB)) : Infinity;
+          })
+        );
+        breaks = gap > PAIR_BREAK_DISTANCE;
+      }
+      if (!breaks) return;
+      pairBonds.forEach((bond) => broken.add(bond));
+      freed.add(aId).add(bId);
+    });
+
+    let bonds = sim.bonds;
+    if (broken.size > 0) {
+      bonds = sim.bonds.filter((bond) => !broken.has(bond));
+      const orders = pairOrders(bonds);
+      broken.forEach((bond) => {
+        setBondedTo(engine, bond, null);
+        events.push({
+          type: 'broken',
+          bond,
+          a: engine.atomsById.get(bond.aId) || null,
+          b: engine.atomsById.get(bond.bId) || null,
+          order: orders.get(bondPairKey(bond.aId, bond.bId)) || 0,
+        });
+      });
+    }
+
+    // Ions pulled apart take their electrons back.
+    const returned = new Set();
+    const touchedTransfers = sim.transfers.filter((t) => involved(t.donorId) || involved(t.acceptorId));
+    groupTransfersByPair({ transfers: touchedTransfers }).forEach((pairTransfers) => {
+      const { donorId, acceptorId } = pairTransfers[0];
+      const donor = engine.atomsById.get(donorId);
+      const acceptor = engine.atomsById.get(acceptorId);
+      const reach = donor && acceptor ? donor.radiusValence + acceptor.radiusValence + PAIR_BREAK_DISTANCE : -1;
+      if (donor && acceptor && distance(donor, acceptor) <= reach) return;
+      pairTransfers.forEach((t) => returned.add(t));
+      freed.add(donorId).add(acceptorId);
+    });
+    let transfers = sim.transfers;
+    if (returned.size > 0) {
+      transfers = sim.transfers.filter((t) => !returned.has(t));
+      const counts = transferCountsByPair(transfers);
+      returned.forEach((transfer) => {
+        events.push({
+          type: 'returned',
+          transfer,
+          a: engine.atomsById.get(transfer.donorId) || null,
+          b: engine.atomsById.get(transfer.acceptorId) || null,
+          electrons: counts.get(bondPairKey(transfer.donorId, transfer.acceptorId)) || 0,
+        });
+      });
+
+      // A donor that lent a pair only while it was an ion (Cl- to H+)
+      // takes it back with its electron gone, as canLendPair would never
+      // have let it lend.
+      const electrons = electronCounts({ atoms: sim.atoms, bonds, transfers });
+      const unlent = bonds.filter((bond) => {
+        if (!bond.dative) return false;
+        const count = electrons.get(bond.aId);
+        const without = { ...count, inBonds: count.inBonds - 2, bonds: count.bonds - 1 };
+        return !canLendPair(engine.atomsById.get(bond.aId), without);
+      });
+      if (unlent.length > 0) {
+        bonds = bonds.filter((bond) => !unlent.includes(bond));
+        const orders = pairOrders(bonds);
+        unlent.forEach((bond) => {
+          setBondedTo(engine, bond, null);
+          freed.add(bond.aId).add(bond.bId);
+          events.push({
+            type: 'broken',
+            bond,
+            a: engine.atomsById.get(bond.aId),
+            b: engine.atomsById.get(bond.bId),
+            order: orders.get(bondPairKey(bond.aId, bond.bId)) || 0,
+          });
+        });
+      }
+    }
+
+    const candidates = sim.atoms.filter((a) => changed.has(a.id) || freed.has(a.id));
+    const shared = formBonds(sim, engine, bonds, transfers, candidates);
+    sim.bonds = shared.length ? bonds.concat(shared) : bonds;
+
+    const given = formTransfers(sim, engine, transfers, candidates);
+    sim.transfers = given.length ? transfers.concat(given) : transfers;
+    engine.transfersRef = sim.transfers;
+    engine.knownTransfers = sim.transfers.slice();
+
+    // A dative bond gives way once new shared pairs overfill its
+    // acceptor's shell: C≡O bonding a second oxygen becomes O=C=O.
+    if (shared.length) {
+      const counts = electronCounts(sim);
+      const displaced = new Set();
+      sim.bonds.forEach((bond) => {
+        const acceptor = engine.atomsById.get(bond.bId);
+        const count = counts.get(bond.bId);
+        if (!bond.dative || count.own + count.gained <= octetTarget(acceptor)) return;
+        count.gained -= 2;
+        displaced.add(bond);
+      });
+      if (displaced.size > 0) {
+        sim.bonds = sim.bonds.filter((bond) => !displaced.has(bond));
+        const orders = pairOrders(sim.bonds);
+        displaced.forEach((bond) => {
+          setBondedTo(engine, bond, null);
+          events.push({
+            type: 'broken',
+            bond,
+            a: engine.atomsById.get(bond.aId),
+            b: engine.atomsById.get(bond.bId),
+            order: orders.get(bondPairKey(bond.aId, bond.bId)) || 0,
+          });
+        });
+      }
+    }
+    const lent = formDativeBonds(sim, engine, candidates);
+    if (lent.length) sim.bonds = sim.bonds.concat(lent);
+    engine.bondsRef = sim.bonds;
+    engine.knownBonds = sim.bonds.slice();
+
+    const formed = shared.concat(lent);
+    if (formed.length) {
+      const orders = pairOrders(sim.bonds);
+      formed.forEach((bond) => {
+        setBondedTo(engine, bond, bond);
+        events.push({
+          type: 'formed',
+          bond,
+          a: engine.atomsById.get(bond.aId),
+          b: engine.atomsById.get(bond.bId),
+          order: orders.get(bondPairKey(bond.aId, bond.bId)),
+        });
+      });
+    }
+    if (given.length) {
+      const counts = transferCountsByPair(sim.transfers);
+      given.forEach((transfer) => {
+        events.push({
+          type: 'transferred',
+          transfer,
+          a: engine.atomsById.get(transfer.donorId),
+          b: engine.atomsById.get(transfer.acceptorId),
+          electrons: counts.get(bondPairKey(transfer.donorId, transfer.acceptorId)),
+        });
+      });
+    }
+    emitBondEvents(engine, events);
+  }
+
+  // The free electron of `atom` pointing most nearly along `axisAngle`,
+  // among those `usable` accepts.
+  function facingElectron(atom, axisAngle, usable) {
+    let best = null;
+    let bestScore = Infinity;
+    atom.electrons.forEach((e) => {
+      if (!usable(e)) return;
+      const score = Math.abs(normalizeAngle(e.baseAngle + e.angleOffset - axisAngle));
+      if (score < bestScore) {
+        bestScore = score;
+        best = e;
+      }
+    });
+    return best;
+  }
+
+  // Form new shared pairs around the candidate atoms, using only
+  // electrons the existing bonds leave free. First a single pair
+  // between every in-range atom pair (pairs in sim.atoms order), then
+  // bond-order upgrades one extra pair per bond per round, so that e.g.
+  // both oxygens in CO2 get a double bond instead of one grabbing a
+  // triple. Extra pairs only need the atoms to be bonded already, not a
+  // second electron pair within range.
+  function formBonds(sim, engine, bonds, transfers, candidates) {
+    const formed = [];
+    if (candidates.length === 0) return formed;
+
+    // Electrons paired with a received electron are no longer free, and
+    // an ion has that much less room left for shared pairs.
+    const usedElectronIds = new Set();
+    const sharedCount = new Map();
+    transfers.forEach((t) => {
+      usedElectronIds.add(t.partnerId);
+      sharedCount.set(t.acceptorId, (sharedCount.get(t.acceptorId) || 0) + 1);
+    });
+    const pairs = new Map();
+    bonds.forEach((bond) => {
+      usedElectronIds.add(bond.eAId);
+      usedElectronIds.add(bond.eBId);
+      // A lent lone pair takes none of either atom's bonding capacity.
+      if (!bond.dative) {
+        sharedCount.set(bond.aId, (sharedCount.get(bond.aId) || 0) + 1);
+        sharedCount.set(bond.bId, (sharedCount.get(bond.bId) || 0) + 1);
+      }
+      const key = bondPairKey(bond.aId, bond.bId);
+      if (pairs.has(key)) pairs.get(key).order++;
+      else pairs.set(key, { key, a: engine.atomsById.get(bond.aId), b: engine.atomsById.get(bond.bId), order: 1 });
+    });
+    // Track how many electrons each atom has shared, so we respect every
+    // atom's bonding capacity (e.g. carbon can use all 4 electrons,
+    // oxygen only its 2 unpaired).
+    const remaining = (atom) => atom.element.bondingCapacity - (sharedCount.get(atom.id) || 0);
+
+    const bestFreeElectron = (atom, axisAngle) =>
+      facingElectron(atom, axisAngle, (e) => e.lonePair == null && !usedElectronIds.has(e.id));
+
+    const addPair = (pair) => {
+      const { a, b } = pair;
+      const eA = bestFreeElectron(a, Math.atan2(b.y - a.y, b.x - a.x));
+      const eB = bestFreeElectron(b, Math.atan2(a.y - b.y, a.x - b.x));
+      if (!eA || !eB) return false;
+      formed.push({ id: `${a.id}-${b.id}-${eA.id}-${eB.id}`, aId: a.id, bId: b.id, eAId: eA.id, eBId: eB.id });
+      usedElectronIds.add(eA.id);
+      usedElectronIds.add(eB.id);
+      sharedCount.set(a.id, (sharedCount.get(a.id) || 0) + 1);
+      sharedCount.set(b.id, (sharedCount.get(b.id) || 0) + 1);
+      pair.order++;
+      return true;
+    };
+
+    const indexOf = (atom) => engine.indexOf.get(atom.id);
+    const grid = spatialGrid(sim.atoms);
+    const newPairs = new Map();
+    candidates.forEach((atom) => {
+      grid.inRange(atom).forEach((other) => {
+        const [a, b] = indexOf(atom) < indexOf(other) ? [atom, other] : [other, atom];
+        const key = bondPairKey(a.id, b.id);
+        if (!pairs.has(key) && !newPairs.has(key)) newPairs.set(key, { key, a, b, order: 0 });
+      });
+    });
+
+    const inAtomOrder = (p, q) => indexOf(p.a) - indexOf(q.a) || indexOf(p.b) - indexOf(q.b);
+    [...newPairs.values()].sort(inAtomOrder).forEach((pair) => {
+      const { a, b } = pair;
+      const rule = bondRuleFor(a.element, b.element);
+      if (rule.maxOrder === 0 || remaining(a) === 0 || remaining(b) === 0) return;
+      const eA = bestFreeElectron(a, Math.atan2(b.y - a.y, b.x - a.x));
+      const eB = bestFreeElectron(b, Math.atan2(a.y - b.y, a.x - b.x));
+      if (distance(electronPosition(a, eA), electronPosition(b, eB)) > PAIR_CAPTURE_DISTANCE) return;
+      addPair(pair);
+      pairs.set(pair.key, pair);
+    });
+
+    const candidateIds = new Set(candidates.map((a) => a.id));
+    const upgradable = [...pairs.values()]
+      .filter((pair) => pair.a && pair.b && (candidateIds.has(pair.a.id) || candidateIds.has(pair.b.id)))
+      .sort(inAtomOrder);
+    let upgraded = true;
+    while (upgraded) {
+      upgraded = false;
+      upgradable.forEach((pair) => {
+        if (pair.order >= bondRuleFor(pair.a.element, pair.b.element).maxOrder) return;
+        if (remaining(pair.a) === 0 || remaining(pair.b) === 0) return;
+        if (addPair(pair)) upgraded = true;
+      });
+    }
+    return formed;
+  }
+
+  // Whether an atom with these electron counts may lend a lone pair: a
+  // non-metal with a full shell and no positive formal charge.
+  function canLendPair(atom, count) {
+    const el = atom.element;
+    if (el.metal || el.bondingCapacity === 0 || count.own + count.gained < octetTarget(atom)) return false;
+    return neutralValence(el) - (count.own - count.inBonds) - count.bonds <= 0;
+  }
+
+  // Let atoms with a full shell lend a lone pair, both electrons of a
+  // dative bond (bond.aId is the donor, and eBId is drawn on the
+  // acceptor's side): to an empty-shell particle such as H+ that the
+  // pair reaches, or to an atom they already share pairs with that is
+  // still two electrons short, the third pair of carbon monoxide. Only
+  // atoms without a positive formal charge lend, so H3O+ takes no
+  // second proton.
+  function formDativeBonds(sim, engine, candidates) {
+    const formed = [];
+    if (candidates.length === 0) return formed;
+
+    const counts = electronCounts(sim);
+    const shell = (atom) => counts.get(atom.id).own + counts.get(atom.id).gained;
+    const usedElectronIds = new Set();
+    sim.bonds.forEach((bond) => usedElectronIds.add(bond.eAId).add(bond.eBId));
+    sim.transfers.forEach((t) => usedElectronIds.add(t.partnerId));
+    const orders = pairOrders(sim.bonds);
+
+    const canLend = (atom) => canLendPair(atom, counts.get(atom.id));
+    const canTake = (atom) => !atom.element.metal && shell(atom) <= octetTarget(atom) - 2;
+
+    // The free lone pair of `atom` pointing most nearly along `axisAngle`.
+    const facingLonePair = (atom, axisAngle) => {
+      const lonePairs = new Map();
+      atom.electrons.forEach((e) => {
+        if (e.lonePair == null || usedElectronIds.has(e.id)) return;
+        if (!lonePairs.has(e.lonePair)) lonePairs.set(e.lonePair, []);
+        lonePairs.get(e.lonePair).push(e);
+      });
+      let best = null;
+      let bestScore = Infinity;
+      lonePairs.forEach((electrons) => {
+        if (electrons.length !== 2) return;
+        const [p, q] = electrons.map((e) => electronPosition(atom, e));
+        const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        const score = Math.abs(normalizeAngle(Math.atan2(mid.y - atom.y, mid.x - atom.x) - axisAngle));
+        if (score < bestScore) {
+          bestScore = score;
+          best = { electrons, mid };
+        }
+      });
+      return best;
+    };
+
+    const lend = (donor, acceptor) => {
+      if (!canLend(donor) || !canTake(acceptor)) return false;
+      const key = bondPairKey(donor.id, acceptor.id);
+      const order = orders.get(key) || 0;
+      const empty = acceptor.electrons.length === 0;
+      if (!empty && (order === 0 || order >= MAX_BOND_ORDER)) return false;
+      const lonePair = facingLonePair(donor, Math.atan2(acceptor.y - donor.y, acceptor.x - donor.x));
+      if (!lonePair) return false;
+      if (empty && distance(lonePair.mid, acceptor) > acceptor.radiusValence + PAIR_CAPTURE_DISTANCE) return false;
+      const [eA, eB] = lonePair.electrons;
+      formed.push({
+        id: `${donor.id}-${acceptor.id}-${eA.id}-${eB.id}`,
+        aId: donor.id,
+        bId: acceptor.id,
+        eAId: eA.id,
+        eBId: eB.id,
+        dative: true,
+      });
+      usedElectronIds.add(eA.id).add(eB.id);
+      counts.get(donor.id).inBonds += 2;
+      counts.get(donor.id).bonds++;
+      counts.get(acceptor.id).gained += 2;
+      counts.get(acceptor.id).bonds++;
+      orders.set(key, order + 1);
+      return true;
+    };
+
+    const indexOf = (atom) => engine.indexOf.get(atom.id);
+    const grid = spatialGrid(sim.atoms);
+    const pairs = new Map();
+    candidates.forEach((atom) => {
+      grid.inRange(atom).forEach((other) => {
+        const [a, b] = indexOf(atom) < indexOf(other) ? [atom, other] : [other, atom];
+        pairs.set(bondPairKey(a.id, b.id), [a, b]);
+      });
+    });
+    [...pairs.values()]
+      .sort(([a, b], [c, d]) => indexOf(a) - indexOf(c) || indexOf(b) - indexOf(d))
+      .forEach(([a, b]) => lend(a, b) || lend(b, a));
+    return formed;
+  }
+
+  // Move electrons from metals to the non-metals around the candidate
+  // atoms whose valence shells are within reach, one electron per ion
+  // pair per round so a magnesium between two chlorines gives each one
+  // electron. A non-metal takes as many as it has unpaired electrons
+  // left, and none once its shell is full (C in C≡O, filled by a
+  // dative pair); each newcomer pairs up with one of them.
+  function formTransfers(sim, engine, transfers, candidates) {
+    const given = [];
+    if (candidates.length === 0) return given;
+
+    const counts = electronCounts({ atoms: sim.atoms, bonds: sim.bonds, transfers });
+    const shellFull = (atom) => {
+      const count = counts.get(atom.id);
+      return count.own + count.gained >= octetTarget(atom);
+    };
+
+    const usedElectronIds = new Set();
+    const taken = new Map();
+    const take = (atomId) => taken.set(atomId, (taken.get(atomId) || 0) + 1);
+    sim.bonds.forEach((bond) => {
+      usedElectronIds.add(bond.eAId);
+      usedElectronIds.add(bond.eBId);
+      if (bond.dative) return;
+      take(bond.aId);
+      take(bond.bId);
+    });
+    transfers.forEach((t) => {
+      usedElectronIds.add(t.electronId);
+      usedElectronIds.add(t.partnerId);
+      take(t.acceptorId);
+    });
+
+    const indexOf = (atom) => engine.indexOf.get(atom.id);
+    const grid = spatialGrid(sim.atoms);
+    const pairs = new Map();
+    candidates.forEach((atom) => {
+      grid.inRange(atom).forEach((other) => {
+        if (!isIonicPair(atom.element, other.element)) return;
+        const [donor, acceptor] = atom.element.metal ? [atom, other] : [other, atom];
+        pairs.set(bondPairKey(donor.id, acceptor.id), { donor, acceptor });
+      });
+    });
+    const first = (p) => Math.min(indexOf(p.donor), indexOf(p.acceptor));
+    const second = (p) => Math.max(indexOf(p.donor), indexOf(p.acceptor));
+    const ordered = [...pairs.values()].sort((p, q) => first(p) - first(q) || second(p) - second(q));
+
+    let moved = true;
+    while (moved) {
+      moved = false;
+      ordered.forEach(({ donor, acceptor }) => {
+        if ((taken.get(acceptor.id) || 0) >= acceptor.element.bondingCapacity || shellFull(acceptor)) return;
+        const usable = (e) => e.lonePair == null && !usedElectronIds.has(e.id);
+        const electron = facingElectron(donor, Math.atan2(acceptor.y - donor.y, acceptor.x - donor.x), usable);
+        const partner = facingElectron(acceptor, Math.atan2(donor.y - acceptor.y, donor.x - acceptor.x), usable);
+        if (!electron || !partner) return;
+        given.push({
+          id: `${donor.id}-${acceptor.id}-${electron.id}`,
+          donorId: donor.id,
+          acceptorId: acceptor.id,
+          electronId: electron.id,
+          partnerId: partner.id,
+        });
+        usedElectronIds.add(electron.id);
+        usedElectronIds.add(partner.id);
+        take(acceptor.id);
+        counts.get(donor.id).own--;
+        counts.get(acceptor.id).own++;
+        moved = true;
+      });
+    }
+    return given;
+  }
+
+  // sim.bonds was replaced from outside (a loaded scene, a test): keep
+  // the bonds that are usable, report what changed against the bonds
+  // the engine knew, and fill in the electrons' bondedTo fields.
+  function adoptBonds(sim, engine, events) {
+    const used = new Set();
+    const shared = new Map();
+    const adopted = sim.bonds.filter((bond) => {
+      const a = engine.atomsById.get(bond.aId);
+      const b = engine.atomsById.get(bond.bId);
+      const eA = engine.electronsById.get(bond.eAId);
+      const eB = engine.electronsById.get(bond.eBId);
+      if (!a || !b || !eA || !eB || used.has(bond.eAId) || used.has(bond.eBId)) return false;
+      if (!a.electrons.includes(eA) || !(bond.dative ? a : b).electrons.includes(eB)) return false;
+      used.add(bond.eAId);
+      used.add(bond.eBId);
+      if (bond.dative) return eA.lonePair != null && eA.lonePair === eB.lonePair;
+      shared.set(a.id, (shared.get(a.id) || 0) + 1);
+      shared.set(b.id, (shared.get(b.id) || 0) + 1);
+      return shared.get(a.id) <= a.element.bondingCapacity && shared.get(b.id) <= b.element.bondingCapacity;
+    });
+
+    const before = new Set(engine.knownBonds.map((bond) => bond.id));
+    const after = new Set(adopted.map((bond) => bond.id));
+    const oldOrders = pairOrders(engine.knownBonds);
+    const newOrders = pairOrders(adopted);
+    engine.knownBonds.forEach((bond) => {
+      setBondedTo(engine, bond, null);
+      if (after.has(bond.id)) return;
+      const key = bondPairKey(bond.aId, bond.bId);
+      const a = engine.atomsById.get(bond.aId) || null;
+      const b = engine.atomsById.get(bond.bId) || null;
+      events.push({ type: 'broken', bond, a, b, order: newOrders.get(key) || 0 });
+    });
+    adopted.forEach((bond) => {
+      setBondedTo(engine, bond, bond);
+      if (before.has(bond.id)) return;
+      const key = bondPairKey(bond.aId, bond.bId);
+      const a = engine.atomsById.get(bond.aId);
+      const b = engine.atomsById.get(bond.bId);
+      events.push({ type: 'formed', bond, a, b, order: newOrders.get(key) || oldOrders.get(key) || 1 });
+    });
+
+    sim.bonds = adopted;
+    engine.bondsRef = sim.bonds;
+    engine.knownBonds = adopted.slice();
+  }
+
+  // sim.transfers was replaced from outside: keep the transfers that
+  // still make sense and report the difference, as adoptBonds() does.
+  function adoptTransfers(sim, engine, events) {
+    const used = new Set();
+    sim.bonds.forEach((bond) => used.add(bond.eAId).add(bond.eBId));
+    const taken = new Map();
+    const adopted = (sim.transfers || []).filter((t) => {
+      const donor = engine.atomsById.get(t.donorId);
+      const acceptor = engine.atomsById.get(t.acceptorId);
+      if (!donor || !acceptor || !isIonicPair(donor.element, acceptor.element) || !donor.element.metal) return false;
+      const electron = engine.electronsById.get(t.electronId);
+      const partner = engine.electronsById.get(t.partnerId);
+      if (!donor.electrons.includes(electron) || !acceptor.electrons.includes(partner)) return false;
+      if (partner.lonePair != null || used.has(t.electronId) || used.has(t.partnerId)) return false;
+      used.add(t.electronId).add(t.partnerId);
+      taken.set(acceptor.id, (taken.get(acceptor.id) || 0) + 1);
+      return taken.get(acceptor.id) <= acceptor.element.bondingCapacity;
+    });
+
+    const before = new Set(engine.knownTransfers.map((t) => t.id));
+    const after = new Set(adopted.map((t) => t.id));
+    const counts = transferCountsByPair(adopted);
+    const report = (type, transfer) =>
+      events.push({
+        type,
+        transfer,
+        a: engine.atomsById.get(transfer.donorId) || null,
+        b: engine.atomsById.get(transfer.acceptorId) || null,
+        electrons: counts.get(bondPairKey(transfer.donorId, transfer.acceptorId)) || 0,
+      });
+    engine.knownTransfers.forEach((t) => {
+      if (!after.has(t.id)) report('returned', t);
+    });
+    adopted.forEach((t) => {
+      if (!before.has(t.id)) report('transferred', t);
+    });
+
+    sim.transfers = adopted;
+    engine.transfersRef = sim.transfers;
+    engine.knownTransfers = adopted.slice();
+  }
+
+  function transferCountsByPair(transfers) {
+    const counts = new Map();
+    transfers.forEach((t) => {
+      const key = bondPairKey(t.donorId, t.acceptorId);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    return counts;
+  }
+
+  function pairOrders(bonds) {
+    const orders = new Map();
+    bonds.forEach((bond) => {
+      const key = bondPairKey(bond.aId, bond.bId);
+      orders.set(key, (orders.get(key) || 0) + 1);
+    });
+    return orders;
+  }
+
+  // An electron's `bondedTo` is the id of the atom it is shared with,
+  // or null while it is free. Both electrons of a dative bond are the
+  // donor's, shared with the acceptor.
+  function setBondedTo(engine, bond, bondOrNull) {
+    const eA = engine.electronsById.get(bond.eAId);
+    const eB = engine.electronsById.get(bond.eBId);
+    if (eA) eA.bondedTo = bondOrNull ? bond.bId : null;
+    if (eB) eB.bondedTo = bondOrNull ? (bond.dative ? bond.bId : bond.aId) : null;
+  }
+
+  function emitBondEvents(engine, events) {
+    events.forEach((event) => engine.listeners.forEach((listener) => listener(event)));
+  }
+
+  // Shared pairs grouped by the atom pair they join, keyed
+  // "lowId-highId"; the group size is the bond order.
+  function bondPairKey(aId, bId) {
+    return aId < bId ? `${aId}-${bId}` : `${bId}-${aId}`;
+  }
+
+  function groupBondsByPair(sim) {
+    const groups = new Map();
+    sim.bonds.forEach((b) => {
+      const key = bondPairKey(b.aId, b.bId);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(b);
+    });
+    return groups;
+  }
+
+  // Electron transfers grouped by the ion pair they join, keyed like
+  // groupBondsByPair().
+  function groupTransfersByPair(sim) {
+    const groups = new Map();
+    sim.transfers.forEach((t) => {
+      const key = bondPairKey(t.donorId, t.acceptorId);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(t);
+    });
+    return groups;
+  }
+
+  // Electron bookkeeping per atom id: `own` electrons after transfers,
+  // how many of them are tied up in bonds (`inBonds`), how many of the
+  // partners' electrons its bonds add to its shell (`gained`) and its
+  // number of `bonds`. A dative bond ties up two of the donor's
+  // electrons and gives the acceptor both.
+  function electronCounts(sim) {
+    const counts = new Map();
+    sim.atoms.forEach((atom) => counts.set(atom.id, { own: atom.electrons.length, inBonds: 0, gained: 0, bonds: 0 }));
+    const none = { own: 0, inBonds: 0, gained: 0, bonds: 0 };
+    const of = (id) => counts.get(id) || none;
+    sim.bonds.forEach((b) => {
+      const a = of(b.aId);
+      const c = of(b.bId);
+      a.bonds++;
+      c.bonds++;
+      if (b.dative) {
+        a.inBonds += 2;
+        c.gained += 2;
+      } else {
+        a.inBonds++;
+        c.inBonds++;
+        a.gained++;
+        c.gained++;
+      }
+    });
+    sim.transfers.forEach((t) => {
+      of(t.donorId).own--;
+      of(t.acceptorId).own++;
+    });
+    return counts;
+  }
+
+  // Atom id -> formal charge: the valence electrons of the neutral atom,
+  // minus the electrons it keeps to itself, minus one per bond. This
+  // covers ions from electron transfer (Na+, Cl-), the acceptor of a
+  // bare proton (N in NH4+) and the atoms of C≡O (C-, O+).
+  function formalCharges(sim) {
+    const charges = new Map();
+    electronCounts(sim).forEach((count, id) => {
+      const atom = atomById(sim, id);
+      charges.set(id, neutralValence(atom.element) - (count.own - count.inBonds) - count.bonds);
+    });
+    return charges;
+  }
+
+  // Atom id -> ionic charge, for atoms that gave or took electrons.
+  function ionCharges(sim) {
+    const charges = new Map();
+    sim.transfers.forEach((t) => {
+      charges.set(t.donorId, (charges.get(t.donorId) || 0) + 1);
+      charges.set(t.acceptorId, (charges.get(t.acceptorId) || 0) - 1);
+    });
+    return charges;
+  }
+
+  // Where a transferred electron sits on the acceptor's shell: beside
+  // the electron it pairs up with, as one more lone pair.
+  function transferPosition(sim, transfer) {
+    const acceptor = atomById(sim, transfer.acceptorId);
+    const partner = electronById(sim, transfer.partnerId);
+    if (!acceptor || !partner) return null;
+    return electronPosition(acceptor, {
+      baseAngle: partner.baseAngle,
+      angleOffset: partner.angleOffset + LONE_PAIR_SPREAD * 2,
+    });
+  }
+
+  // Where a shared pair is drawn: both electron positions and their
+  // midpoint (the center of the bond glow and its hit target). Polar
+  // pairs are pulled along the bond toward the more electronegative atom.
+  function sharedPairGeometry(sim, bond) {
+    const a = atomById(sim, bond.aId);
+    const c = atomById(sim, bond.bId);
+    if (!a || !c) return null;
+    const eA = electronById(sim, bond.eAId);
+    const eB = electronById(sim, bond.eBId);
+    if (!eA || !eB) return null;
+    const pA = electronPosition(a, eA);
+    const pB = electronPosition(c, eB);
+
+    const polarity = bondPolarity(a.element, c.element);
+    if (polarity.polar) {
+      const toward = polarity.negative === a.element ? a : c;
+      const away = toward === a ? c : a;
+      const len = distance(away, toward) || 1;
+      const shift = Math.min(MAX_POLAR_PAIR_SHIFT, polarity.difference * POLAR_PAIR_SHIFT);
+      const sx = ((toward.x - away.x) / len) * shift;
+      const sy = ((toward.y - away.y) / len) * shift;
+      [pA, pB].forEach((p) => {
+        p.x += sx;
+        p.y += sy;
+      });
+    }
+    return { a, c, pA, pB, mid: { x: (pA.x + pB.x) / 2, y: (pA.y + pB.y) / 2 } };
+  }
+
+  // Coulomb force overlay. Each atom is a nucleus with its core charge
+  // (+valence of the neutral atom: inner electrons screen the rest) plus its valence
+  // electrons (−1 each) where they are drawn. Distances are in px;
+  // COULOMB_K just brings typical bond forces to a drawable size.
+  const COULOMB_K = 1000;
+
+  // Force on charge q1 at p1 from charge q2 at p2; positive products
+  // push apart, negative ones pull together.
+  function coulombForce(p1, q1, p2, q2) {
+    const dx = p1.x - p2.x;
+    const dy = p1.y - p2.y;
+    const r2 = Math.max(dx * dx + dy * dy, 1);
+    const f = (COULOMB_K * q1 * q2) / r2;
+    const r = Math.sqrt(r2);
+    return { x: (f * dx) / r, y: (f * dy) / r };
+  }
+
+  function forceVector(x, y) {
+    return { x, y, magnitude: Math.hypot(x, y) };
+  }
+
+  // Where every electron is drawn, with shared electrons at their
+  // (polarity-shifted) shared-pair positions.
+  function electronPositions(sim) {
+    const positions = new Map();
+    sim.atoms.forEach((atom) => {
+      atom.electrons.forEach((e) => positions.set(e.id, { atom, ...electronPosition(atom, e) }));
+    });
+    sim.bonds.forEach((b) => {
+      const pair = sharedPairGeometry(sim, b);
+      if (!pair) return;
+      positions.set(b.eAId, { atom: pair.a, ...pair.pA });
+      positions.set(b.eBId, { atom: pair.c, ...pair.pB });
+    });
+    return positions;
+  }
+
+  // Coulomb forces behind bonding, for the physical force overlay:
+  // - attractions: each nucleus toward each of its shared pairs;
+  // - repulsions: between the nuclei of every bonded pair;
+  // - pairRepulsions: on each shared pair from all other electrons of
+  //   its two atoms;
+  // - net: the total force on each atom (nucleus and own electrons)
+  //   from every other atom in the scene.
+  function coulombForces(sim) {
+    const positions = electronPositions(sim);
+    const byId = new Map(sim.atoms.map((a) => [a.id, a]));
+    const attractions = [];
+    const repulsions = [];
+    const pairRepulsions = [];
+
+    groupBondsByPair(sim).forEach((pairBonds) => {
+      const a = byId.get(pairBonds[0].aId);
+      const c = byId.get(pairBonds[0].bId);
+      if (!a || !c) return;
+
+      [a, c].forEach((atom) => {
+        const other = atom === a ? c : a;
+        const push = coulombForce(atom, neutralValence(atom.element), other, neutralValence(other.element));
+        repulsions.push({ atom, from: other, ...forceVector(push.x, push.y) });
+      });
+
+      pairBonds.forEach((b) => {
+        const pA = positions.get(b.eAId);
+        const pB = positions.get(b.eBId);
+        if (!pA || !pB) return;
+        const mid = { x: (pA.x + pB.x) / 2, y: (pA.y + pB.y) / 2 };
+
+        [a, c].forEach((atom) => {
+          let x = 0;
+          let y = 0;
+          [pA, pB].forEach((p) => {
+            const f = coulombForce(atom, neutralValence(atom.element), p, -1);
+            x += f.x;
+            y += f.y;
+          });
+          attractions.push({ atom, to: mid, ...forceVector(x, y) });
+        });
+
+        let x = 0;
+        let y = 0;
+        [a, c].forEach((atom) => {
+          atom.electrons.forEach((e) => {
+            if (e.id === b.eAId || e.id === b.eBId) return;
+            const p = positions.get(e.id);
+            [pA, pB].forEach((q) => {
+              const f = coulombForce(q, -1, p, -1);
+              x += f.x;
+              y += f.y;
+            });
+          });
+        });
+        pairRepulsions.push({ at: mid, ...forceVector(x, y) });
+      });
+    });
+
+    // The two electrons of a shared pair sit on top of each other as a
+    // spin pair; their mutual repulsion is left out of the net force.
+    const pairedWith = new Map();
+    sim.bonds.forEach((b) => {
+      pairedWith.set(b.eAId, b.eBId);
+      pairedWith.set(b.eBId, b.eAId);
+    });
+
+    const net = sim.atoms.map((atom) => {
+      let x = 0;
+      let y = 0;
+      const add = (f) => {
+        x += f.x;
+        y += f.y;
+      };
+      sim.atoms.forEach((other) => {
+        if (other === atom) return;
+        add(coulombForce(atom, neutralValence(atom.element), other, neutralValence(other.element)));
+        other.electrons.forEach((e) => add(coulombForce(atom, neutralValence(atom.element), positions.get(e.id), -1)));
+        atom.electrons.forEach((own) => {
+          const p = positions.get(own.id);
+          add(coulombForce(p, -1, other, neutralValence(other.element)));
+          other.electrons.forEach((e) => {
+            if (pairedWith.get(own.id) === e.id) return;
+            add(coulombForce(p, -1, positions.get(e.id), -1));
+          });
+        });
+      });
+      return { atom, ...forceVector(x, y) };
+    });
+
+    return { attractions, repulsions, pairRepulsions, net };
+  }
+
+  // Bond dipoles, one per bonded atom pair whatever its order: a vector
+  // from the δ+ atom toward the δ− atom with the electronegativity
+  // difference as its length. Non-polar bonds are left out.
+  function bondDipoles(sim) {
+    const dipoles = [];
+    groupBondsByPair(sim).forEach((pairBonds) => {
+      const info = bondInfo(sim, pairBonds);
+      if (!info || !info.polarity.polar) return;
+      const negative = info.polarity.negative === info.a.element ? info.a : info.b;
+      const positive = negative === info.a ? info.b : info.a;
+      const len = distance(positive, negative) || 1;
+      const size = info.polarity.difference;
+      dipoles.push({
+        positive,
+        negative,
+        size,
+        x: ((negative.x - positive.x) / len) * size,
+        y: ((negative.y - positive.y) / len) * size,
+      });
+    });
+    return dipoles;
+  }
+
+  // Partial charge sign per atom id: the sum of its bond dipoles, negative
+  // where the atom pulls electrons in (δ−), positive where it loses them.
+  function partialCharges(sim) {
+    const charges = new Map(sim.atoms.map((a) => [a.id, 0]));
+    bondDipoles(sim).forEach((d) => {
+      charges.set(d.negative.id, charges.get(d.negative.id) - d.size);
+      charges.set(d.positive.id, charges.get(d.positive.id) + d.size);
+    });
+    return charges;
+  }
+
+  // Net dipole of a molecule: the vector sum of its bond dipoles in the
+  // current geometry. In symmetric shapes (linear CO2) they cancel; in
+  // bent ones (H2O) they do not.
+  function moleculeDipole(sim, molecule) {
+    const ids = new Set(molecule.atoms.map((a) => a.id));
+    let x = 0;
+    let y = 0;
+    bondDipoles(sim).forEach((d) => {
+      if (!ids.has(d.positive.id)) return;
+      x += d.x;
+      y += d.y;
+    });
+    const magnitude = Math.hypot(x, y);
+    return { x, y, magnitude, polar: magnitude >= NONPOLAR_DIPOLE_LIMIT };
+  }
+
+  // Everything the bond inspector shows about the shared pairs between
+  // two atoms: order, typical length and enthalpy, and polarity, plus
+  // how many of the pairs are dative and which atom lent them.
+  function bondInfo(sim, pairBonds) {
+    const a = atomById(sim, pairBonds[0].aId);
+    const b = atomById(sim, pairBonds[0].bId);
+    if (!a || !b) return null;
+    const order = pairBonds.length;
+    const lent = pairBonds.filter((bond) => bond.dative);
+    return {
+      a,
+      b,
+      order,
+      dative: lent.length,
+      donor: lent.length ? atomById(sim, lent[0].aId) : null,
+      type: BOND_TYPE_NAMES[order] || `${order}-fold`,
+      properties: bondProperties(a.element, b.element, order),
+      polarity: bondPolarity(a.element, b.element),
+    };
+  }
+
+  // Potential energy against internuclear distance as a Morse curve,
+  //   V(r) = De (1 − e^(−a (r − r0)))² − De,
+  // with De the bond enthalpy (kJ/mol) and r0 the canvas bond length.
+  // The width a puts the edge of the well (WELL_EDGE_DEPTH of the way
+  // down) at the separation where lined-up electrons start sharing, so
+  // the bond forms as the marker enters the well. Distances are in px;
+  // `pmPerPx` converts them to the table bond length scale.
+  const WELL_EDGE_DEPTH = 0.2;
+  const ESTIMATED_BOND_ENTHALPY = 250; // kJ/mol per shared pair, when the table has no value
+
+  function morseCurve(a, b, order = 1) {
+    const properties = bondProperties(a.element, b.element, order);
+    const capture = a.radiusValence + b.radiusValence + PAIR_CAPTURE_DISTANCE;
+    const edge = 1 - Math.sqrt(1 - WELL_EDGE_DEPTH);
+    return {
+      order,
+      depth: properties ? properties.enthalpy : ESTIMATED_BOND_ENTHALPY * order,
+      equilibrium: BOND_TARGET_LENGTH,
+      capture,
+      width: -Math.log(edge) / (capture - BOND_TARGET_LENGTH),
+      pmPerPx: properties ? properties.length / BOND_TARGET_LENGTH : null,
+      estimated: !properties,
+    };
+  }
+
+  function morseEnergy(curve, r) {
+    const stretch = 1 - Math.exp(-curve.width * (r - curve.equilibrium));
+    return curve.depth * stretch * stretch - curve.depth;
+  }
+
+  // Approximate energy needed to break every bond in a molecule: the
+  // sum of average bond enthalpies. Bonds with no table value are
+  // counted in `unknown` so the total can be flagged as partial.
+  function moleculeBondEnergy(sim, molecule) {
+    const ids = new Set(molecule.atoms.map((a) => a.id));
+    let total = 0;
+    let bonds = 0;
+    let unknown = 0;
+    groupBondsByPair(sim).forEach((pairBonds) => {
+      if (!ids.has(pairBonds[0].aId)) return;
+      const info = bondInfo(sim, pairBonds);
+      if (!info) return;
+      bonds++;
+      if (info.properties) total += info.properties.enthalpy;
+      else unknown++;
+    });
+    return { total, bonds, unknown };
+  }
+
+  // Move an electron `ease` of the way (0..1] toward a target offset.
+  function easeElectron(e, targetOffset, ease) {
+    const delta = normalizeAngle(targetOffset - e.angleOffset);
+    let step = delta * ease;
+    if (Math.abs(delta - step) > MAX_ELECTRON_LAG) step = delta - Math.sign(delta) * MAX_ELECTRON_LAG;
+    if (Math.abs(delta - step) < ELECTRON_SNAP) step = delta;
+    e.angleOffset = normalizeAngle(e.angleOffset + step);
+  }
+
+  // Line shared pairs up along their bond axes and spread every other
+  // electron of a bonded atom around the rest of its shell. With `ease`
+  // below 1 the electrons only move that fraction of the way per call,
+  // so calling it once per frame animates them into place.
+  function reorientBondElectrons(sim, ease = 1) {
+    if (sim.bonds.length === 0) return;
+
+    // Double and triple bonds are laid out together.
+    groupBondsByPair(sim).forEach((pairBonds) => {
+      const b0 = pairBonds[0];
+      const a = atomById(sim, b0.aId);
+      const c = atomById(sim, b0.bId);
+      if (!a || !c) return;
+
+      const angleAC = Math.atan2(c.y - a.y, c.x - a.x);
+      const angleCA = Math.atan2(a.y - c.y, a.x - c.x);
+
+      // Put a single pair on the bond axis and fan double/triple bonds
+      // out symmetrically around it. Pairs are assigned in the order
+      // their electrons already sit around the axis so lines never cross.
+      const offsets = bondPairOffsets(pairBonds.length);
+      const ordered = pairBonds
+        .map((b) => {
+          const [nearA, nearC] = b.aId === a.id ? [b.eAId, b.eBId] : [b.eBId, b.eAId];
+          const eA = electronById(sim, nearA);
+          const eC = electronById(sim, nearC);
+          const side = eA ? normalizeAngle(eA.baseAngle + eA.angleOffset - angleAC) : 0;
+          return { eA, eC, side };
+        })
+        .sort((p, q) => p.side - q.side);
+
+      ordered.forEach(({ eA, eC }, idx) => {
+        if (!eA || !eC || idx >= offsets.length) return;
+        easeElectron(eA, angleAC + offsets[idx] - eA.baseAngle, ease);
+        easeElectron(eC, angleCA - offsets[idx] - eC.baseAngle, ease);
+      });
+    });
+
+    // After aligning bonding electrons, redistribute all other electrons
+    // on each involved atom so that they are evenly spaced (max arc). The
+    // second electron of a dative bond sits on the acceptor's side, so it
+    // counts there and not on its donor.
+    const bondedByAtom = new Map();
+    const lentIds = new Set();
+    const bondedIdsOf = (atomId) => {
+      if (!bondedByAtom.has(atomId)) bondedByAtom.set(atomId, new Set());
+      return bondedByAtom.get(atomId);
+    };
+    sim.bonds.forEach((b) => {
+      bondedIdsOf(b.aId).add(b.eAId);
+      bondedIdsOf(b.bId).add(b.eBId);
+      if (b.dative) lentIds.add(b.eBId);
+    });
+
+    bondedByAtom.forEach((bondedElectronIds, atomId) => {
+      const atom = atomById(sim, atomId);
+      if (!atom) return;
+
+      const bondedElectrons = [...bondedElectronIds].map((id) => electronById(sim, id)).filter(Boolean);
+      const freeElectrons = atom.electrons.filter((e) => !bondedElectronIds.has(e.id) && !lentIds.has(e.id));
+      if (freeElectrons.length === 0) return;
+
+      // Lone pairs move as one domain; unpaired electrons that are not
+      // bonding yet are domains of their own.
+      const domains = [];
+      const lonePairDomains = new Map();
+      freeElectrons.forEach((e) => {
+        if (e.lonePair == null) {
+          domains.push([e]);
+          return;
+        }
+        if (!lonePairDomains.has(e.lonePair)) {
+          lonePairDomains.set(e.lonePair, []);
+          domains.push(lonePairDomains.get(e.lonePair));
+        }
+        lonePairDomains.get(e.lonePair).push(e);
+      });
+
+      // Find the largest gap between consecutive bonded electrons on the
+      // circle (the whole circle when there is only one bond).
+      const bondedAngles = bondedElectrons
+        .map((e) => normalizeAngle(e.baseAngle + e.angleOffset))
+        .sort((a, b) => a - b);
+      let gapStart = bondedAngles[0];
+      let gapSize = -Infinity;
+      for (let i = 0; i < bondedAngles.length; i++) {
+        const a1 = bondedAngles[i];
+        const a2 = i === bondedAngles.length - 1 ? bondedAngles[0] + Math.PI * 2 : bondedAngles[i + 1];
+        if (a2 - a1 > gapSize) {
+          gapSize = a2 - a1;
+          gapStart = a1;
+        }
+      }
+
+      // Spread the domains evenly across that gap, keeping the two
+      // electrons of a lone pair side by side.
+      domains.forEach((domain, index) => {
+        const center = gapStart + (gapSize * (index + 1)) / (domains.length + 1);
+        const spread = domain.length === 2 ? [-LONE_PAIR_SPREAD, LONE_PAIR_SPREAD] : [0];
+        domain.forEach((e, k) => easeElectron(e, center + spread[k] - e.baseAngle, ease));
+      });
+    });
+  }
+
+  // Tilt up to `count` of an atom's non-lone-pair electrons toward
+  // `axisAngle`, fanned out the way the finished bond will be.
+  function tiltElectronsToward(atom, axisAngle, count, skipIds) {
+    const offsets = bondPairOffsets(count);
+    atom.electrons
+      .filter((e) => e.lonePair == null && !skipIds.has(e.id))
+      .map((e) => {
+        const current = normalizeAngle(e.baseAngle + e.angleOffset);
+        return { e, current, side: normalizeAngle(current - axisAngle) };
+      })
+      .sort((p, q) => Math.abs(p.side) - Math.abs(q.side))
+      .slice(0, count)
+      .sort((p, q) => p.side - q.side)
+      .forEach(({ e, current }, idx) => {
+        let delta = normalizeAngle(axisAngle + offsets[idx] - current);
+        delta *= ELECTRON_ORIENT_SPEED;
+        e.angleOffset = normalizeAngle(e.angleOffset + delta);
+      });
+  }
+
+  function orientElectronsTowardNeighbors(sim, draggedAtomId) {
+    if (!draggedAtomId) return;
+    const dragged = atomById(sim, draggedAtomId);
+    if (!dragged) return;
+
+    // The neighbor's electrons already shared with other atoms (or
+    // paired with a received electron) stay put.
+    const sharedIds = new Set();
+    sim.bonds.forEach((b) => {
+      if (b.aId === dragged.id || b.bId === dragged.id) return;
+      sharedIds.add(b.eAId);
+      sharedIds.add(b.eBId);
+    });
+    sim.transfers.forEach((t) => sharedIds.add(t.partnerId));
+
+    sim.atoms.forEach((other) => {
+      if (other.id === dragged.id) return;
+      const d = distance(dragged, other);
+      if (d > ELECTRON_ORIENT_RANGE) return;
+
+      // Tilt as many electrons as the pair could share (one for a single
+      // bond, two or three for double/triple bonds) toward each other,
+      // so the pair forms as soon as the atoms are close enough.
+      const order = bondRuleFor(dragged.element, other.element).maxOrder;
+      if (order === 0) return;
+
+      const axisAngle = Math.atan2(other.y - dragged.y, other.x - dragged.x);
+      tiltElectronsToward(dragged, axisAngle, order, new Set());
+      tiltElectronsToward(other, axisAngle + Math.PI, order, sharedIds);
+    });
+  }
+
+  // Atom id -> set of ids it shares at least one electron pair with.
+  function bondNeighbors(sim) {
+    const neighbors = new Map();
+    sim.atoms.forEach((a) => neighbors.set(a.id, new Set()));
+    sim.bonds.forEach((b) => {
+      if (!neighbors.has(b.aId) || !neighbors.has(b.bId)) return;
+      neighbors.get(b.aId).add(b.bId);
+      neighbors.get(b.bId).add(b.aId);
+    });
+    return neighbors;
+  }
+
+  // bondNeighbors() plus the ions each atom attracts, so an ionic
+  // compound counts as one unit.
+  function moleculeNeighbors(sim) {
+    const neighbors = bondNeighbors(sim);
+    sim.transfers.forEach((t) => {
+      if (!neighbors.has(t.donorId) || !neighbors.has(t.acceptorId)) return;
+      neighbors.get(t.donorId).add(t.acceptorId);
+      neighbors.get(t.acceptorId).add(t.donorId);
+    });
+    return neighbors;
+  }
+
+  // Every atom id reachable through bonds from any of `startIds`.
+  function connectedAtomIds(sim, startIds, neighbors = bondNeighbors(sim)) {
+    const found = new Set();
+    const stack = startIds.filter((id) => neighbors.has(id));
+    stack.forEach((id) => found.add(id));
+    while (stack.length > 0) {
+      neighbors.get(stack.pop()).forEach((id) => {
+        if (found.has(id)) return;
+        found.add(id);
+        stack.push(id);
+      });
+    }
+    return found;
+  }
+
+  // Group bonded atoms into molecules (connected components of the
+  // bond graph, with ions held together by their attraction). Lone
+  // atoms are not reported as molecules. `charge` is the sum of the
+  // members' formal charges, e.g. +1 for NH4+.
+  function findMolecules(sim) {
+    const neighbors = moleculeNeighbors(sim);
+    const charges = formalCharges(sim);
+    const visited = new Set();
+    const molecules = [];
+    sim.atoms.forEach((start) => {
+      if (visited.has(start.id) || neighbors.get(start.id).size === 0) return;
+
+      const memberIds = connectedAtomIds(sim, [start.id], neighbors);
+      memberIds.forEach((id) => visited.add(id));
+      const members = sim.atoms.filter((a) => memberIds.has(a.id));
+
+      const formula = hillFormula(members);
+      const charge = members.reduce((sum, a) => sum + charges.get(a.id), 0);
+      const known = KNOWN_MOLECULES[formula + chargeSuffix(charge)] || null;
+      molecules.push({
+        atoms: members,
+        ionic: sim.transfers.some((t) => memberIds.has(t.donorId)),
+        formula,
+        charge,
+        displayFormula: known && known.display ? known.display : formula,
+        name: known ? known.name : null,
+      });
+    });
+    return molecules;
+  }
+
+  // Hill order: carbon first, then hydrogen, then everything else
+  // alphabetically. Without carbon, all symbols are alphabetical.
+  function hillFormula(members) {
+    const counts = {};
+    members.forEach((a) => {
+      const symbol = formulaSymbol(a.element);
+      counts[symbol] = (counts[symbol] || 0) + 1;
+    });
+
+    const symbols = Object.keys(counts).sort();
+    let ordered = symbols;
+    if (counts.C) {
+      ordered = ['C'];
+      if (counts.H) ordered.push('H');
+      ordered = ordered.concat(symbols.filter((s) => s !== 'C' && s !== 'H'));
+    }
+
+    return ordered.map((s) => (counts[s] > 1 ? `${s}${counts[s]}` : s)).join('');
+  }
+
+  function formatFormula(formula) {
+    const subscripts = '₀₁₂₃₄₅₆₇₈₉';
+    return formula.replace(/[0-9]/g, (d) => subscripts[Number(d)]);
+  }
+
+  // Charge as written after a formula key: '+', '2-', '' when neutral.
+  function chargeSuffix(charge) {
+    if (!charge) return '';
+    return `${Math.abs(charge) > 1 ? Math.abs(charge) : ''}${charge > 0 ? '+' : '-'}`;
+  }
+
+  // The same as superscripts, e.g. '²⁺' for Mg2+.
+  function formatCharge(charge) {
+    const superscripts = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+    return chargeSuffix(charge).replace(/[0-9+-]/g, (c) => (c === '+' ? '⁺' : c === '-' ? '⁻' : superscripts[Number(c)]));
+  }
+
+  function describeMolecule(molecule) {
+    const formula = formatFormula(molecule.displayFormula) + formatCharge(molecule.charge || 0);
+    return molecule.name ? `${molecule.name} (${formula})` : formula;
+  }
+
+  // Hydrogen and helium are stable with a full first shell (duet); the
+  // other non-metals aim for eight electrons in their valence shell (octet).
+  // A lithium ion is left with the duet below its valence shell.
+  function octetTarget(atom) {
+    return atom.element.Z <= 3 ? 2 : 8;
+  }
+
+  // Electrons an atom "sees" in its valence shell: its own electrons
+  // (after any it gave away or received) plus the partner electrons of
+  // its shared pairs.
+  function valenceShellCount(sim, atom) {
+    const count = electronCounts(sim).get(atom.id);
+    return count.own + count.gained;
+  }
+
+  // Metals reach a full shell the other way round: by giving all their
+  // valence electrons away, which leaves the filled shell below. Their
+  // status reports the electrons still to give away as `surplus`.
+  function checkOctets(sim) {
+    const counts = electronCounts(sim);
+    return sim.atoms.map((atom) => {
+      const target = octetTarget(atom);
+      const { own, gained } = counts.get(atom.id);
+      if (atom.element.metal) {
+        return { atom, count: own === 0 ? target : own, target, missing: 0, surplus: own, complete: own === 0 };
+      }
+      const count = own + gained;
+      return {
+        atom,
+        count,
+        target,
+        missing: Math.max(0, target - count),
+        surplus: 0,
+        complete: count >= target,
+      };
+    });
+  }
+
+  // Lone pairs around an atom: electrons not used in bonds (counting
+  // received ones, not given ones), with a leftover unpaired electron
+  // counted as its own domain.
+  function lonePairDomains(sim, atom) {
+    const { own, inBonds } = electronCounts(sim).get(atom.id);
+    return Math.ceil((own - inBonds) / 2);
+  }
+
+  function vseprShape(sim, atom, neighborCount) {
+    const lonePairs = lonePairDomains(sim, atom);
+    const known = VSEPR_SHAPES[`${neighborCount}-${lonePairs}`];
+    if (known) return { ...known, lonePairs };
+    // Larger steric numbers: spread neighbors evenly.
+    const gap = 360 / (neighborCount + lonePairs);
+    return {
+      name: `${neighborCount + lonePairs} electron domains`,
+      angle: Math.round(gap),
+      gaps: Array(neighborCount - 1).fill(gap),
+      lonePairs,
+    };
+  }
+
+  // One relaxation step toward VSEPR geometry: spring every bond toward
+  // BOND_TARGET_LENGTH, then ease the neighbors of each central atom
+  // toward the angles of its predicted shape.
+  function relaxGeometry(sim, pinned = new Set()) {
+    const byId = new Map(sim.atoms.map((a) => [a.id, a]));
+    const neighbors = bondNeighbors(sim);
+
+    const nudge = (atom, dx, dy) => {
+      if (pinned.has(atom.id)) return;
+      atom.x += dx;
+      atom.y += dy;
+    };
+
+    neighbors.forEach((ids, id) => {
+      const a = byId.get(id);
+      ids.forEach((otherId) => {
+        if (otherId < id) return; // each bond once
+        const b = byId.get(otherId);
+        const d = distance(a, b) || 1;
+        const stretch = (d - BOND_TARGET_LENGTH) * SPRING_STRENGTH;
+        const ux = (b.x - a.x) / d;
+        const uy = (b.y - a.y) / d;
+        const aPinned = pinned.has(a.id);
+        const bPinned = pinned.has(b.id);
+        const share = aPinned || bPinned ? 1 : 0.5;
+        nudge(a, ux * stretch * share, uy * stretch * share);
+        nudge(b, -ux * stretch * share, -uy * stretch * share);
+      });
+    });
+
+    neighbors.forEach((ids, id) => {
+      if (ids.size < 2) return;
+      const center = byId.get(id);
+      const shape = vseprShape(sim, center, ids.size);
+
+      const around = [...ids]
+        .map((otherId) => {
+          const atom = byId.get(otherId);
+          return { atom, angle: Math.atan2(atom.y - center.y, atom.x - center.x) };
+        })
+        .sort((p, q) => p.angle - q.angle);
+
+      // Start the sequence right after the widest current gap so the
+      // shape's leftover space (where lone pairs sit) ends up there.
+      let start = 0;
+      let widest = -Infinity;
+      around.forEach((n, i) => {
+        const prev = around[(i - 1 + around.length) % around.length];
+        let gap = n.angle - prev.angle;
+        if (gap <= 0) gap += Math.PI * 2;
+        if (gap > widest) {
+          widest = gap;
+          start = i;
+        }
+      });
+      const ordered = around.slice(start).concat(around.slice(0, start));
+
+      const cumulative = [0];
+      shape.gaps.forEach((g) => cumulative.push(cumulative[cumulative.length - 1] + (g * Math.PI) / 180));
+
+      // Orient the ideal shape to best match the current layout.
+      let sx = 0;
+      let sy = 0;
+      ordered.forEach((n, k) => {
+        const rel = n.angle - cumulative[k];
+        sx += Math.cos(rel);
+        sy += Math.sin(rel);
+      });
+      const base = Math.atan2(sy, sx);
+
+      ordered.forEach((n, k) => {
+        const target = base + cumulative[k];
+        const r = distance(center, n.atom);
+        const tx = center.x + Math.cos(target) * r;
+        const ty = center.y + Math.sin(target) * r;
+        nudge(n.atom, (tx - n.atom.x) * ANGLE_STRENGTH, (ty - n.atom.y) * ANGLE_STRENGTH);
+      });
+    });
+  }
+
+  function bondAngleDegrees(center, a, b) {
+    const angle = Math.abs(
+      normalizeAngle(Math.atan2(a.y - center.y, a.x - center.x) - Math.atan2(b.y - center.y, b.x - center.x))
+    );
+    return (angle * 180) / Math.PI;
+  }
+
+  // Snapshot of the canvas: atoms by element symbol with their positions
+  // and electron angle offsets, plus the bonds and electron transfers
+  // between them.
+  function serializeScene(sim) {
+    const round = (v, digits) => Number(v.toFixed(digits));
+    return {
+      version: SCENE_VERSION,
+      atoms: sim.atoms.map((a) => ({
+        id: a.id,
+        element: a.element.symbol,
+        x: round(a.x, 1),
+        y: round(a.y, 1),
+        offsets: a.electrons.map((e) => round(e.angleOffset, 3)),
+      })),
+      bonds: sim.bonds.map((b) => {
+        const saved = { aId: b.aId, bId: b.bId, eAId: b.eAId, eBId: b.eBId };
+        if (b.dative) saved.dative = true;
+        return saved;
+      }),
+      transfers: sim.transfers.map((t) => ({
+        donorId: t.donorId,
+        acceptorId: t.acceptorId,
+        electronId: t.electronId,
+        partnerId: t.partnerId,
+      })),
+    };
+  }
+
+  // Replace the canvas with a serialized scene. Atoms are rebuilt through
+  // spawnAtomFromElement() so ids and nextId stay consistent; saved ids
+  // are remapped onto the new ones. Returns false for unusable input.
+  function loadScene(sim, scene) {
+    if (!scene || scene.version !== SCENE_VERSION || !Array.isArray(scene.atoms)) return false;
+
+    sim.atoms = [];
+    sim.bonds = [];
+    sim.transfers = [];
+    sim.nextId = 1;
+
+    const idMap = new Map();
+    scene.atoms.forEach((saved) => {
+      const el = findElement(saved.element);
+      if (!el || !Number.isFinite(saved.x) || !Number.isFinite(saved.y)) return;
+      const atom = spawnAtomFromElement(sim, el, saved.x, saved.y);
+      if (Array.isArray(saved.offsets)) {
+        atom.electrons.forEach((e, i) => {
+          if (Number.isFinite(saved.offsets[i])) e.angleOffset = saved.offsets[i];
+        });
+      }
+      idMap.set(saved.id, atom.id);
+    });
+
+    const remapElectron = (eId, oldAtomId) =>
+      String(eId).replace(new RegExp(`^${oldAtomId}-`), `${idMap.get(oldAtomId)}-`);
+    (scene.bonds || []).forEach((b) => {
+      if (!idMap.has(b.aId) || !idMap.has(b.bId)) return;
+      const aId = idMap.get(b.aId);
+      const bId = idMap.get(b.bId);
+      const eAId = remapElectron(b.eAId, b.aId);
+      const eBId = remapElectron(b.eBId, b.dative ? b.aId : b.bId);
+      const bond = { id: `${aId}-${bId}-${eAId}-${eBId}`, aId, bId, eAId, eBId };
+      if (b.dative) bond.dative = true;
+      sim.bonds.push(bond);
+    });
+    (scene.transfers || []).forEach((t) => {
+      if (!idMap.has(t.donorId) || !idMap.has(t.acceptorId)) return;
+      const donorId = idMap.get(t.donorId);
+      const acceptorId = idMap.get(t.acceptorId);
+      const electronId = remapElectron(t.electronId, t.donorId);
+      const partnerId = remapElectron(t.partnerId, t.acceptorId);
+      sim.transfers.push({ id: `${donorId}-${acceptorId}-${electronId}`, donorId, acceptorId, electronId, partnerId });
+    });
+
+    return true;
+  }
+
+  return {
+    ELEMENTS,
+    KNOWN_MOLECULES,
+    ELECTRON_ORIENT_SPEED,
+    ELECTRON_ORIENT_RANGE,
+    LONE_PAIR_SPREAD,
+    MAX_BOND_ORDER,
+    BOND_RULES,
+    BOND_DATA,
+    POLAR_BOND_THRESHOLD,
+    IONIC_THRESHOLD,
+    BOND_TARGET_LENGTH,
+    VSEPR_SHAPES,
+    SCENE_VERSION,
+    createSimulation,
+    lonePairCount,
+    formulaSymbol,
+    bondRuleFor,
+    isIonicPair,
+    bondPairOffsets,
+    bondProperties,
+    bondPolarity,
+    spawnAtomFromElement,
+    findElement,
+    distance,
+    normalizeAngle,
+    electronPosition,
+    updateBonds,
+    atomById,
+    electronById,
+    onBondChange,
+    bondPairKey,
+    groupBondsByPair,
+    groupTransfersByPair,
+    ionCharges,
+    formalCharges,
+    transferPosition,
+    sharedPairGeometry,
+    coulombForces,
+    bondDipoles,
+    partialCharges,
+    moleculeDipole,
+    bondInfo,
+    moleculeBondEnergy,
+    morseCurve,
+    morseEnergy,
+    reorientBondElectrons,
+    orientElectronsTowardNeighbors,
+    bondNeighbors,
+    moleculeNeighbors,
+    connectedAtomIds,
+    findMolecules,
+    hillFormula,
+    formatFormula,
+    chargeSuffix,
+    formatCharge,
+    describeMolecule,
+    octetTarget,
+    valenceShellCount,
+    checkOctets,
+    lonePairDomains,
+    vseprShape,
+    relaxGeometry,
+    bondAngleDegrees,
+    serializeScene,
+    loadScene,
+  };
+});
@@ -0,0 +1,43 @@
+// Camera math behind panning, zooming and pinching the canvas.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MIN_ZOOM, MAX_ZOOM, toWorld, zoomViewAt, beginPinch, pinchView } = require('../camera.js');
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+test('toWorld undoes the view offset and scale', () => {
+  const view = { x: 100, y: 50, scale: 2 };
+  assert.deepEqual(toWorld(view, 100, 50), { x: 0, y: 0 });
+  assert.deepEqual(toWorld(view, 140, 30), { x: 20, y: -10 });
+});
+
+test('zooming keeps the world point under the cursor', () => {
+  const view = { x: 30, y: -20, scale: 1 };
+  const before = toWorld(view, 200, 150);
+  zoomViewAt(view, 200, 150, 2.5);
+  assert.equal(view.scale, 2.5);
+  const after = toWorld(view, 200, 150);
+  assertClose(after.x, before.x);
+  assertClose(after.y, before.y);
+
+  zoomViewAt(view, 0, 0, 100);
+  assert.equal(view.scale, MAX_ZOOM);
+  zoomViewAt(view, 0, 0, 0.01);
+  assert.equal(view.scale, MIN_ZOOM);
+});
+
+test('a pinch zooms with the finger spread and pans with the midpoint', () => {
+  const view = { x: 0, y: 0, scale: 1 };
+  const pinch = beginPinch(view, { x: 100, y: 100 }, { x: 200, y: 100 });
+  assert.deepEqual(pinch.anchor, { x: 150, y: 100 });
+
+  // Spread to twice the distance around a midpoint moved 40px right.
+  pinchView(view, pinch, { x: 90, y: 100 }, { x: 290, y: 100 });
+  assert.equal(view.scale, 2);
+  const anchor = toWorld(view, 190, 100);
+  assertClose(anchor.x, 150);
+  assertClose(anchor.y, 100);
+});
@@ -0,0 +1,97 @@
+// Challenge checking against built scenes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const {
+  BOND_TARGET_LENGTH,
+  createSimulation,
+  spawnAtomFromElement,
+  findElement,
+  electronPosition,
+  updateBonds,
+  reorientBondElectrons,
+} = require('../simulation.js');
+const { parseSmiles, spawnGraph } = require('../formats.js');
+const { parseFormula, validateChallengeSet, checkChallenge } = require('../challenges.js');
+
+function sceneFrom(smiles) {
+  const sim = createSimulation();
+  if (smiles) spawnGraph(sim, parseSmiles(smiles), 60, 200);
+  for (let i = 0; i < 5; i++) {
+    reorientBondElectrons(sim);
+    updateBonds(sim);
+  }
+  return sim;
+}
+
+function challengeFor(goal) {
+  return validateChallengeSet({ challenges: [{ prompt: 'Test', goal }] }).challenges[0];
+}
+
+test('the bundled challenge set is valid', () => {
+  const data = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'challenges.json'), 'utf8'));
+  const set = validateChallengeSet(data);
+  assert.ok(set.challenges.length > 0);
+  set.challenges.forEach((c) => assert.ok(c.hints.length > 0, c.prompt));
+});
+
+test('formulas are read in any element order', () => {
+  assert.deepEqual(parseFormula('NH3'), { N: 1, H: 3 });
+  assert.deepEqual(parseFormula('H3N'), { H: 3, N: 1 });
+  assert.deepEqual(parseFormula('C2H6O'), { C: 2, H: 6, O: 1 });
+  assert.throws(() => parseFormula('Xy2'), /Cannot read/);
+  assert.throws(() => parseFormula('h2o'), /Cannot read/);
+});
+
+test('a formula goal is met by the matching molecule only', () => {
+  const ammonia = challengeFor({ formula: 'NH3' });
+  assert.equal(checkChallenge(sceneFrom('N'), ammonia).complete, true);
+  assert.equal(checkChallenge(sceneFrom('O.N'), ammonia).complete, true);
+
+  const wrong = checkChallenge(sceneFrom('O'), ammonia);
+  assert.equal(wrong.complete, false);
+  assert.match(wrong.feedback, /not NH₃/);
+  assert.match(checkChallenge(sceneFrom(''), ammonia).feedback, /Nothing is bonded/);
+});
+
+test('ammonium built from ammonia and a proton meets an NH4 goal', () => {
+  const sim = sceneFrom('N');
+  const nitrogen = sim.atoms.find((a) => a.element.symbol === 'N');
+  const [p, q] = nitrogen.electrons.filter((e) => e.lonePair != null).map((e) => electronPosition(nitrogen, e));
+  const angle = Math.atan2((p.y + q.y) / 2 - nitrogen.y, (p.x + q.x) / 2 - nitrogen.x);
+  const reach = BOND_TARGET_LENGTH;
+  spawnAtomFromElement(sim, findElement('H+'), nitrogen.x + Math.cos(angle) * reach, nitrogen.y + Math.sin(angle) * reach);
+  updateBonds(sim);
+
+  const result = checkChallenge(sim, challengeFor({ formula: 'NH4' }));
+  assert.equal(result.complete, true);
+  assert.match(result.feedback, /Ammonium/);
+});
+
+test('a bond-order goal needs a bond of exactly that order', () => {
+  const double = challengeFor({ bondOrder: 2 });
+  assert.equal(checkChallenge(sceneFrom('O=C=O'), double).complete, true);
+  assert.equal(checkChallenge(sceneFrom('C=C'), double).complete, true);
+  const miss = checkChallenge(sceneFrom('N#N'), double);
+  assert.equal(miss.complete, false);
+  assert.match(miss.feedback, /No double bond/);
+});
+
+test('an octet goal fails while shells are incomplete', () => {
+  const co2 = challengeFor({ formula: 'CO2', octets: true });
+  assert.equal(checkChallenge(sceneFrom('O=C=O'), co2).complete, true);
+  // Methylene: two C–H bonds leave carbon two electrons short.
+  const methylene = challengeFor({ formula: 'CH2', octets: true });
+  const radical = checkChallenge(sceneFrom('[CH2]'), methylene);
+  assert.equal(radical.complete, false);
+  assert.match(radical.feedback, /full shell/);
+});
+
+test('broken challenge sets are rejected with the reason', () => {
+  assert.throws(() => validateChallengeSet({}), /non-empty "challenges"/);
+  assert.throws(() => validateChallengeSet({ challenges: [{ goal: { formula: 'H2' } }] }), /needs a "prompt"/);
+  assert.throws(() => validateChallengeSet({ challenges: [{ prompt: 'x', goal: { colour: 'red' } }] }), /unknown goal "colour"/);
+  assert.throws(() => validateChallengeSet({ challenges: [{ prompt: 'x', goal: { bondOrder: 4 } }] }), /1, 2 or 3/);
+});
@@ -0,0 +1,85 @@
+// Tests for the Lewis SVG and formula-list exporters.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createSimulation,
+  spawnAtomFromElement,
+  findElement,
+  serializeScene,
+  loadScene,
+} = require('../simulation.js');
+const { lewisSvg, formulaListText } = require('../exporters.js');
+
+// Bonds are given as [atomIndex, atomIndex, order]; electrons are
+// paired up directly instead of going through updateBonds.
+function buildScene(spec, links) {
+  const sim = createSimulation();
+  const placed = spec.map(([symbol, x, y]) => spawnAtomFromElement(sim, findElement(symbol), x, y));
+  const used = new Set();
+  const freeElectron = (atom) => {
+    const e = atom.electrons.find((x) => x.lonePair == null && !used.has(x.id));
+    used.add(e.id);
+    return e.id;
+  };
+  links.forEach(([i, j, order]) => {
+    const a = placed[i];
+    const b = placed[j];
+    for (let k = 0; k < order; k++) {
+      const eAId = freeElectron(a);
+      const eBId = freeElectron(b);
+      sim.bonds.push({ id: `${a.id}-${b.id}-${eAId}-${eBId}`, aId: a.id, bId: b.id, eAId, eBId });
+    }
+  });
+  return sim;
+}
+
+const count = (text, pattern) => (text.match(pattern) || []).length;
+
+test('Lewis SVG of carbon dioxide has two double bonds and four lone pairs', () => {
+  const sim = buildScene(
+    [['O', 100, 100], ['C', 166, 100], ['O', 232, 100]],
+    [[0, 1, 2], [1, 2, 2]]
+  );
+  const svg = lewisSvg(sim);
+  assert.match(svg, /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+  assert.equal(count(svg, /<line /g), 4);
+  assert.equal(count(svg, /<circle /g), 8);
+  assert.equal(count(svg, />O<\/text>/g), 2);
+  assert.equal(count(svg, />C<\/text>/g), 1);
+});
+
+test('Lewis SVG keeps lone pairs off the bond lines in water', () => {
+  const sim = buildScene(
+    [['O', 100, 100], ['H', 166, 100], ['H', 100, 166]],
+    [[0, 1, 1], [0, 2, 1]]
+  );
+  const svg = lewisSvg(sim);
+  assert.equal(count(svg, /<line /g), 2);
+  // Oxygen sits at (36, 36); its two lone pairs go left of and above it.
+  const dots = [...svg.matchAll(/<circle cx="([\d.]+)" cy="([\d.]+)"/g)].map((m) => [Number(m[1]), Number(m[2])]);
+  assert.equal(dots.length, 4);
+  dots.forEach(([x, y]) => assert.ok(x < 36 || y < 36));
+});
+
+test('Lewis SVG of an empty scene is an empty image', () => {
+  assert.match(lewisSvg(createSimulation()), /width="0" height="0"/);
+});
+
+test('formula list counts repeated molecules and lists loose atoms', () => {
+  const sim = buildScene(
+    [['O', 100, 100], ['H', 166, 100], ['H', 100, 166], ['O', 400, 100], ['H', 466, 100], ['H', 400, 166], ['N', 600, 300]],
+    [[0, 1, 1], [0, 2, 1], [3, 4, 1], [3, 5, 1]]
+  );
+  assert.equal(
+    formulaListText(sim),
+    'Covalent Builder – molecules built\n2 × Water (H2O)\n\nUnbonded atoms: N\n'
+  );
+});
+
+test('formula list works on a reloaded scene', () => {
+  const source = buildScene([['N', 100, 100], ['N', 166, 100]], [[0, 1, 3]]);
+  const sim = createSimulation();
+  loadScene(sim, JSON.parse(JSON.stringify(serializeScene(source))));
+  assert.equal(formulaListText(sim), 'Covalent Builder – molecules built\nNitrogen (N2)\n');
+});
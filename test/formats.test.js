@@ -0,0 +1,149 @@
+// SMILES and MOL round trips through the simulation's own bonding.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createSimulation,
+  spawnAtomFromElement,
+  findElement,
+  updateBonds,
+  reorientBondElectrons,
+  findMolecules,
+  checkOctets,
+} = require('../simulation.js');
+const { toSmiles, toMolfile, parseSmiles, parseMolfile, spawnGraph } = require('../formats.js');
+
+function settle(sim, frames = 5) {
+  for (let i = 0; i < frames; i++) {
+    reorientBondElectrons(sim);
+    updateBonds(sim);
+  }
+}
+
+function importSmiles(smiles) {
+  const sim = createSimulation();
+  spawnGraph(sim, parseSmiles(smiles), 60, 200);
+  settle(sim);
+  return sim;
+}
+
+test('SMILES imports form the intended bonds and write back unchanged', () => {
+  ['O=C=O', 'N#N', 'C', 'O', 'CCO', 'CC(=O)O', 'C#C', 'ClC(Cl)(Cl)Cl', 'C1CCCCC1', 'C1=CC=CC=C1', '[H][H]', 'O.O'].forEach(
+    (smiles) => {
+      const sim = importSmiles(smiles);
+      assert.equal(toSmiles(sim), smiles);
+      assert.ok(checkOctets(sim).every((s) => s.complete), `${smiles} has full shells`);
+    }
+  );
+});
+
+test('implicit hydrogens are added to fill each atom\'s bonds', () => {
+  const [acid] = findMolecules(importSmiles('CC(=O)O'));
+  assert.equal(acid.formula, 'C2H4O2');
+  const [ammonia] = findMolecules(importSmiles('N'));
+  assert.equal(ammonia.name, 'Ammonia');
+});
+
+test('bracket atoms keep their explicit hydrogen count', () => {
+  const sim = importSmiles('[CH2]');
+  assert.equal(findMolecules(sim)[0].formula, 'CH2');
+  assert.equal(toSmiles(sim), '[CH2]');
+  assert.equal(toSmiles(importSmiles('[SeH2]')), '[SeH2]');
+});
+
+test('ions are written as bracket atoms with their charge', () => {
+  const sim = createSimulation();
+  spawnAtomFromElement(sim, findElement('Mg'), 100, 100);
+  spawnAtomFromElement(sim, findElement('O'), 170, 100);
+  settle(sim);
+  assert.equal(toSmiles(sim), '[Mg+2].[O-2]');
+});
+
+test('ionic exports import as the neutral atoms and move their electrons again', () => {
+  [
+    ['[Na+].[Cl-]', 1],
+    ['[Mg+2].[O-2]', 2],
+  ].forEach(([smiles, electrons]) => {
+    const sim = importSmiles(smiles);
+    assert.equal(sim.transfers.length, electrons);
+    assert.equal(toSmiles(sim), smiles);
+
+    const copy = createSimulation();
+    spawnGraph(copy, parseMolfile(toMolfile(sim)), 60, 200);
+    settle(copy);
+    assert.equal(copy.transfers.length, sim.transfers.length);
+    assert.equal(toSmiles(copy), smiles);
+  });
+  assert.throws(() => parseSmiles('[Na+2].[O-2]'), /at most 1 electrons/);
+  assert.throws(() => parseSmiles('[Cl-]'), /needs a metal/);
+});
+
+test('formal charges from dative bonds are written too', () => {
+  const sim = importSmiles('[C]=O');
+  assert.equal(toSmiles(sim), '[C-]#[O+]');
+  assert.match(toMolfile(sim), /^M {2}CHG {2}2 {3}1 {2}-1 {3}2 {3}1$/m);
+});
+
+test('formal charges round-trip through SMILES and MOL', () => {
+  [
+    ['[C-]#[O+]', 'Carbon monoxide'],
+    ['[NH4+]', 'Ammonium'],
+  ].forEach(([smiles, name]) => {
+    const sim = importSmiles(smiles);
+    assert.equal(toSmiles(sim), smiles);
+    assert.equal(findMolecules(sim)[0].name, name);
+
+    const copy = createSimulation();
+    spawnGraph(copy, parseMolfile(toMolfile(sim)), 60, 200);
+    settle(copy);
+    assert.equal(toSmiles(copy), smiles);
+  });
+  const proton = importSmiles('[H+]');
+  assert.equal(proton.atoms[0].element.symbol, 'H+');
+  assert.equal(toSmiles(proton), '[H+]');
+  const ammonium = importSmiles('[NH4+]');
+  assert.equal(ammonium.atoms.filter((a) => a.element.symbol === 'H+').length, 1);
+  assert.equal(ammonium.bonds.filter((b) => b.dative).length, 1);
+});
+
+test('unsupported or impossible SMILES are rejected with a message', () => {
+  assert.throws(() => parseSmiles('c1ccccc1'), /Kekulé/);
+  assert.throws(() => parseSmiles('[OH-]'), /needs a metal/);
+  assert.throws(() => parseSmiles('C[N+](C)(C)C'), /positive ion/);
+  assert.throws(() => parseSmiles('[CH5+]'), /at most 3 bonds/);
+  assert.throws(() => parseSmiles('C(C)(C)(C)(C)C'), /at most 4 bonds/);
+  assert.throws(() => parseSmiles('O#O'), /cannot share 3/);
+  assert.throws(() => parseSmiles('C1CC'), /Unclosed ring/);
+  assert.throws(() => parseSmiles('Xx'), /brackets/);
+  assert.throws(() => parseSmiles('[Xx]'), /Unknown element/);
+});
+
+test('MOL export and import round-trip a molecule', () => {
+  const sim = importSmiles('CC(=O)O');
+  const mol = toMolfile(sim);
+  assert.match(mol.split('\n')[3], /^  8  7 .*V2000$/);
+  assert.ok(mol.trimEnd().endsWith('M  END'));
+
+  const copy = createSimulation();
+  spawnGraph(copy, parseMolfile(mol), 60, 200);
+  settle(copy);
+  assert.equal(toSmiles(copy), 'CC(=O)O');
+});
+
+test('MOL files without hydrogens get them added', () => {
+  const mol = [
+    'formaldehyde',
+    '  test',
+    '',
+    '  2  1  0  0  0  0  0  0  0  0999 V2000',
+    '    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0',
+    '    1.2000    0.0000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0',
+    '  1  2  2  0',
+    'M  END',
+  ].join('\n');
+  const sim = createSimulation();
+  spawnGraph(sim, parseMolfile(mol), 60, 200);
+  settle(sim);
+  assert.equal(findMolecules(sim)[0].name, 'Formaldehyde');
+  assert.throws(() => parseMolfile('not a mol file'), /not a MOL file/);
+});
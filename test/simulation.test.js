@@ -0,0 +1,596 @@
+// Bonding regression tests for the headless simulation core.
+// Run with `node --test` from the repository root.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createSimulation,
+  spawnAtomFromElement,
+  findElement,
+  updateBonds,
+  reorientBondElectrons,
+  normalizeAngle,
+  electronPosition,
+  findMolecules,
+  checkOctets,
+  valenceShellCount,
+  serializeScene,
+  loadScene,
+  groupBondsByPair,
+  bondInfo,
+  bondPolarity,
+  moleculeBondEnergy,
+  moleculeDipole,
+  partialCharges,
+  sharedPairGeometry,
+  coulombForces,
+  morseCurve,
+  morseEnergy,
+  onBondChange,
+  electronById,
+  orientElectronsTowardNeighbors,
+  ionCharges,
+  formalCharges,
+  transferPosition,
+} = require('../simulation.js');
+
+// Place atoms by symbol and turn one free bonding electron on each end
+// of every listed link toward its partner, the way dragging atoms
+// together does in the browser.
+function buildLayout(spec, links) {
+  const sim = createSimulation();
+  const placed = spec.map(([symbol, x, y]) => spawnAtomFromElement(sim, findElement(symbol), x, y));
+  const claimed = new Set();
+  const face = (atom, other) => {
+    const axis = Math.atan2(other.y - atom.y, other.x - atom.x);
+    const electron = atom.electrons
+      .filter((e) => e.lonePair == null && !claimed.has(e.id))
+      .sort(
+        (p, q) =>
+          Math.abs(normalizeAngle(p.baseAngle + p.angleOffset - axis)) -
+          Math.abs(normalizeAngle(q.baseAngle + q.angleOffset - axis))
+      )[0];
+    claimed.add(electron.id);
+    electron.angleOffset = normalizeAngle(axis - electron.baseAngle);
+  };
+  links.forEach(([i, j]) => {
+    face(placed[i], placed[j]);
+    face(placed[j], placed[i]);
+  });
+  return { sim, placed };
+}
+
+// Run the same update order as one animation frame, a few times over.
+function settle(sim, frames = 5) {
+  for (let i = 0; i < frames; i++) {
+    reorientBondElectrons(sim);
+    updateBonds(sim);
+  }
+}
+
+// Atom pair -> number of shared electron pairs between them.
+function bondOrders(sim) {
+  const orders = {};
+  sim.bonds.forEach((b) => {
+    const a = sim.atoms.find((x) => x.id === b.aId).element.symbol;
+    const c = sim.atoms.find((x) => x.id === b.bId).element.symbol;
+    const key = `${b.aId}${a}-${b.bId}${c}`;
+    orders[key] = (orders[key] || 0) + 1;
+  });
+  return orders;
+}
+
+test('two hydrogens share a single pair', () => {
+  const { sim } = buildLayout([['H', 100, 100], ['H', 166, 100]], [[0, 1]]);
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1H-2H': 1 });
+  assert.equal(findMolecules(sim)[0].name, 'Hydrogen');
+});
+
+test('two oxygens form a double bond', () => {
+  const { sim } = buildLayout([['O', 100, 100], ['O', 166, 100]], [[0, 1]]);
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1O-2O': 2 });
+  assert.equal(findMolecules(sim)[0].formula, 'O2');
+});
+
+test('carbon dioxide gets two C=O double bonds, not a triple and a single', () => {
+  const { sim } = buildLayout(
+    [['O', 100, 100], ['C', 166, 100], ['O', 232, 100]],
+    [[0, 1], [1, 2]]
+  );
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1O-2C': 2, '2C-3O': 2 });
+  assert.equal(findMolecules(sim)[0].name, 'Carbon dioxide');
+  assert.ok(checkOctets(sim).every((s) => s.complete));
+});
+
+test('carbon dioxide keeps its double bonds whichever end is placed first', () => {
+  const { sim } = buildLayout(
+    [['C', 166, 100], ['O', 232, 100], ['O', 100, 100]],
+    [[0, 1], [0, 2]]
+  );
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1C-2O': 2, '1C-3O': 2 });
+});
+
+test('the second pair of an O=O double bond sits beside the first, off the bond axis', () => {
+  const { sim, placed } = buildLayout([['O', 100, 100], ['O', 166, 100]], [[0, 1]]);
+  settle(sim);
+  const [first, second] = placed;
+  const pairs = sim.bonds.map((b) => {
+    const eA = first.electrons.find((e) => e.id === b.eAId);
+    const eB = second.electrons.find((e) => e.id === b.eBId);
+    return [electronPosition(first, eA), electronPosition(second, eB)];
+  });
+  assert.equal(pairs.length, 2);
+  // Symmetric about the axis (y = 100) and each pair within bonding range.
+  assert.ok(Math.abs(pairs[0][0].y - 100 + (pairs[1][0].y - 100)) < 1e-6);
+  pairs.forEach(([pA, pB]) => assert.ok(Math.hypot(pA.x - pB.x, pA.y - pB.y) <= 30));
+});
+
+test('methane has four C–H single bonds and complete shells', () => {
+  const { sim } = buildLayout(
+    [['C', 200, 200], ['H', 266, 200], ['H', 134, 200], ['H', 200, 266], ['H', 200, 134]],
+    [[0, 1], [0, 2], [0, 3], [0, 4]]
+  );
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1C-2H': 1, '1C-3H': 1, '1C-4H': 1, '1C-5H': 1 });
+  const [methane] = findMolecules(sim);
+  assert.equal(methane.formula, 'CH4');
+  assert.equal(methane.name, 'Methane');
+  assert.ok(checkOctets(sim).every((s) => s.complete));
+});
+
+test('nitrogen forms a triple bond and lone pairs never bond', () => {
+  const { sim, placed } = buildLayout([['N', 100, 100], ['N', 166, 100]], [[0, 1]]);
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1N-2N': 3 });
+  const bonded = new Set(sim.bonds.flatMap((b) => [b.eAId, b.eBId]));
+  placed.forEach((atom) => {
+    atom.electrons.filter((e) => e.lonePair != null).forEach((e) => assert.ok(!bonded.has(e.id)));
+  });
+});
+
+test('noble gases refuse to bond', () => {
+  const { sim } = buildLayout([['Ne', 100, 100], ['F', 166, 100]], []);
+  settle(sim);
+  assert.equal(sim.bonds.length, 0);
+});
+
+test('atoms out of range do not bond', () => {
+  const { sim } = buildLayout([['H', 100, 100], ['H', 300, 100]], [[0, 1]]);
+  settle(sim);
+  assert.equal(sim.bonds.length, 0);
+  assert.deepEqual(findMolecules(sim), []);
+});
+
+test('a saved scene reloads with fresh ids and the same bonds', () => {
+  const { sim } = buildLayout(
+    [['O', 100, 100], ['H', 166, 100], ['H', 100, 166]],
+    [[0, 1], [0, 2]]
+  );
+  settle(sim);
+  const saved = JSON.parse(JSON.stringify(serializeScene(sim)));
+
+  const copy = createSimulation();
+  copy.nextId = 40;
+  assert.equal(loadScene(copy, saved), true);
+  assert.equal(copy.nextId, 4);
+  settle(copy);
+  assert.equal(copy.bonds.length, 2);
+  assert.equal(findMolecules(copy)[0].name, 'Water');
+  assert.equal(loadScene(copy, { version: 99, atoms: [] }), false);
+});
+
+test('bond info reports order, typical data and polarity', () => {
+  const { sim } = buildLayout(
+    [['O', 100, 100], ['C', 166, 100], ['O', 232, 100]],
+    [[0, 1], [1, 2]]
+  );
+  settle(sim);
+  const [first] = groupBondsByPair(sim).values();
+  const info = bondInfo(sim, first);
+  assert.equal(info.type, 'double');
+  assert.deepEqual(info.properties, { length: 123, enthalpy: 799 });
+  assert.equal(info.polarity.polar, true);
+  assert.equal(info.polarity.negative.symbol, 'O');
+
+  assert.deepEqual(moleculeBondEnergy(sim, findMolecules(sim)[0]), { total: 1598, bonds: 2, unknown: 0 });
+});
+
+test('bond polarity follows the electronegativity difference', () => {
+  assert.equal(bondPolarity(findElement('H'), findElement('H')).polar, false);
+  assert.equal(bondPolarity(findElement('C'), findElement('H')).polar, false);
+  const oh = bondPolarity(findElement('H'), findElement('O'));
+  assert.equal(oh.polar, true);
+  assert.equal(oh.negative.symbol, 'O');
+  assert.ok(Math.abs(oh.difference - 1.24) < 1e-9);
+});
+
+test('bond dipoles cancel in linear CO2 but not in bent water', () => {
+  const co2 = buildLayout(
+    [['O', 100, 100], ['C', 166, 100], ['O', 232, 100]],
+    [[0, 1], [1, 2]]
+  );
+  settle(co2.sim);
+  assert.equal(moleculeDipole(co2.sim, findMolecules(co2.sim)[0]).polar, false);
+  const charges = partialCharges(co2.sim);
+  assert.ok(charges.get(2) > 0);
+  assert.ok(charges.get(1) < 0 && charges.get(3) < 0);
+
+  const water = buildLayout(
+    [['O', 100, 100], ['H', 166, 100], ['H', 100, 166]],
+    [[0, 1], [0, 2]]
+  );
+  settle(water.sim);
+  const dipole = moleculeDipole(water.sim, findMolecules(water.sim)[0]);
+  assert.equal(dipole.polar, true);
+  // Pointing from the hydrogens toward the oxygen.
+  assert.ok(dipole.x < 0 && dipole.y < 0);
+});
+
+test('polar shared pairs are drawn closer to the more electronegative atom', () => {
+  const { sim, placed } = buildLayout([['H', 100, 100], ['F', 166, 100]], [[0, 1]]);
+  settle(sim);
+  const { mid } = sharedPairGeometry(sim, sim.bonds[0]);
+  assert.ok(mid.x > (placed[0].x + placed[1].x) / 2 + 5);
+
+  const h2 = buildLayout([['H', 100, 100], ['H', 166, 100]], [[0, 1]]);
+  settle(h2.sim);
+  assert.ok(Math.abs(sharedPairGeometry(h2.sim, h2.sim.bonds[0]).mid.x - 133) < 1e-6);
+});
+
+test('Coulomb forces pull nuclei toward shared pairs and push them apart', () => {
+  const { sim, placed } = buildLayout([['H', 100, 100], ['H', 166, 100]], [[0, 1]]);
+  settle(sim);
+  const forces = coulombForces(sim);
+  const [left, right] = placed;
+
+  assert.equal(forces.attractions.length, 2);
+  const pull = forces.attractions.find((f) => f.atom === left);
+  assert.ok(pull.x > 0 && Math.abs(pull.magnitude - Math.hypot(pull.x, pull.y)) < 1e-9);
+
+  assert.equal(forces.repulsions.length, 2);
+  assert.ok(forces.repulsions.find((f) => f.atom === left).x < 0);
+  assert.ok(forces.repulsions.find((f) => f.atom === right).x > 0);
+
+  // The shared pair outweighs the nuclear repulsion at drawn length.
+  const net = forces.net.find((f) => f.atom === left);
+  assert.ok(Number.isFinite(net.magnitude) && net.x > 0);
+  assert.ok(Math.abs(net.x + forces.net.find((f) => f.atom === right).x) < 1e-9);
+});
+
+test('the Morse curve bottoms out at r0 and its well starts where pairs form', () => {
+  const { sim, placed } = buildLayout([['H', 100, 100], ['Cl', 166, 100]], [[0, 1]]);
+  settle(sim);
+  const curve = morseCurve(placed[0], placed[1]);
+  assert.equal(curve.depth, 431);
+  assert.ok(Math.abs(morseEnergy(curve, curve.equilibrium) + 431) < 1e-9);
+  assert.ok(morseEnergy(curve, curve.equilibrium - 10) > -431);
+  assert.ok(morseEnergy(curve, curve.equilibrium + 10) > -431);
+  assert.ok(Math.abs(morseEnergy(curve, curve.capture) + 431 * 0.2) < 1e-9);
+  assert.ok(Math.abs(morseEnergy(curve, 10000)) < 1e-6);
+  assert.ok(Math.abs(curve.equilibrium * curve.pmPerPx - 127) < 1e-9);
+
+  const estimated = morseCurve(placed[0], { ...placed[1], element: findElement('Se') }, 2);
+  assert.equal(estimated.estimated, true);
+  assert.equal(estimated.pmPerPx, null);
+});
+
+test('moving one molecule leaves the other bonds untouched', () => {
+  // Two CO2 molecules and a water far apart, then one oxygen pulled off
+  // and a hydrogen moved next to it.
+  const { sim, placed } = buildLayout(
+    [
+      ['O', 100, 100], ['C', 166, 100], ['O', 232, 100],
+      ['O', 100, 400], ['C', 166, 400], ['O', 232, 400],
+      ['O', 600, 100], ['H', 666, 100], ['H', 600, 166],
+    ],
+    [[0, 1], [1, 2], [3, 4], [4, 5], [6, 7], [6, 8]]
+  );
+  settle(sim);
+  assert.equal(sim.bonds.length, 10);
+  const before = new Set(sim.bonds);
+  const involves = (bond, atom) => bond.aId === atom.id || bond.bId === atom.id;
+
+  placed[2].x += 200;
+  placed[7].x = placed[2].x + 66;
+  placed[7].y = placed[2].y;
+  settle(sim);
+  assert.ok(sim.bonds.every((b) => !involves(b, placed[2]) || !involves(b, placed[1])));
+  before.forEach((bond) => {
+    if ([placed[1], placed[2], placed[7]].some((a) => involves(bond, a))) return;
+    assert.ok(sim.bonds.includes(bond), `${bond.id} was rebuilt`);
+  });
+
+  sim.atoms = sim.atoms.filter((a) => a !== placed[4]);
+  settle(sim);
+  assert.ok(sim.bonds.every((b) => !involves(b, placed[4])));
+});
+
+test('a bond forms within capture distance but only breaks further out', () => {
+  const pair = (d) =>
+    buildLayout(
+      [
+        ['H', 100, 100],
+        ['H', 100 + d, 100],
+      ],
+      [[0, 1]]
+    );
+  const { sim, placed } = pair(90);
+  settle(sim);
+  assert.equal(sim.bonds.length, 1);
+  const bond = sim.bonds[0];
+
+  const fresh = pair(100).sim;
+  settle(fresh);
+  assert.equal(fresh.bonds.length, 0);
+  placed[1].x = 200;
+  settle(sim);
+  assert.deepEqual(sim.bonds, [bond]);
+
+  placed[1].x = 220;
+  settle(sim);
+  assert.equal(sim.bonds.length, 0);
+});
+
+test('an approaching atom does not take over the electrons of an existing bond', () => {
+  // The first hydrogen comes first in sim.atoms, so bonding everything
+  // from scratch would pair it with chlorine instead of the second one.
+  const { sim, placed } = buildLayout(
+    [
+      ['H', 400, 100],
+      ['Cl', 100, 100],
+      ['H', 166, 100],
+    ],
+    [[1, 2]]
+  );
+  settle(sim);
+  const [bond] = sim.bonds;
+  assert.equal(bond.bId, placed[2].id);
+
+  placed[0].x = 100;
+  placed[0].y = 166;
+  settle(sim);
+  assert.deepEqual(sim.bonds, [bond]);
+});
+
+test('bond changes are reported to listeners and fill in bondedTo', () => {
+  const { sim, placed } = buildLayout(
+    [
+      ['H', 100, 100],
+      ['H', 166, 100],
+    ],
+    [[0, 1]]
+  );
+  const events = [];
+  const stop = onBondChange(sim, (event) => events.push(event));
+  settle(sim);
+  assert.deepEqual(
+    events.map((e) => [e.type, e.a, e.b, e.order]),
+    [['formed', placed[0], placed[1], 1]]
+  );
+  const [bond] = sim.bonds;
+  assert.equal(electronById(sim, bond.eAId).bondedTo, placed[1].id);
+  assert.equal(electronById(sim, bond.eBId).bondedTo, placed[0].id);
+
+  placed[1].x = 400;
+  settle(sim);
+  assert.deepEqual(
+    events.map((e) => e.type),
+    ['formed', 'broken']
+  );
+  assert.equal(events[1].bond, bond);
+  assert.equal(events[1].order, 0);
+  assert.ok(sim.atoms.every((a) => a.electrons.every((e) => e.bondedTo === null)));
+
+  stop();
+  placed[1].x = 166;
+  settle(sim);
+  assert.equal(sim.bonds.length, 1);
+  assert.equal(events.length, 2);
+});
+
+test('a metal next to a chlorine gives its electron away instead of sharing', () => {
+  const { sim, placed } = buildLayout(
+    [
+      ['Na', 100, 100],
+      ['Cl', 180, 100],
+    ],
+    []
+  );
+  const events = [];
+  onBondChange(sim, (event) => events.push(event));
+  settle(sim);
+  assert.equal(sim.bonds.length, 0);
+  assert.equal(sim.transfers.length, 1);
+  assert.deepEqual([...ionCharges(sim)], [[placed[0].id, 1], [placed[1].id, -1]]);
+  assert.deepEqual(
+    events.map((e) => [e.type, e.a, e.b, e.electrons]),
+    [['transferred', placed[0], placed[1], 1]]
+  );
+  assert.ok(checkOctets(sim).every((s) => s.complete));
+  assert.deepEqual(findMolecules(sim).map((m) => [m.displayFormula, m.name, m.ionic]), [['NaCl', 'Sodium chloride', true]]);
+  const landed = transferPosition(sim, sim.transfers[0]);
+  assert.ok(Math.abs(Math.hypot(landed.x - placed[1].x, landed.y - placed[1].y) - placed[1].radiusValence) < 1e-9);
+
+  // Pulled apart the ions take their electrons back, with the same
+  // hysteresis as shared pairs.
+  placed[1].x = 200;
+  settle(sim);
+  assert.equal(sim.transfers.length, 1);
+  placed[1].x = 260;
+  settle(sim);
+  assert.equal(sim.transfers.length, 0);
+  assert.equal(events[events.length - 1].type, 'returned');
+});
+
+test('magnesium gives one electron to each of two chlorines', () => {
+  const { sim, placed } = buildLayout(
+    [
+      ['Cl', 30, 100],
+      ['Mg', 100, 100],
+      ['Cl', 170, 100],
+    ],
+    []
+  );
+  settle(sim);
+  assert.deepEqual(placed.map((a) => ionCharges(sim).get(a.id)), [-1, 2, -1]);
+  assert.deepEqual(findMolecules(sim).map((m) => m.displayFormula), ['MgCl2']);
+});
+
+test('metals never share pairs, and only transfer across a large electronegativity gap', () => {
+  const { sim } = buildLayout(
+    [
+      ['Na', 100, 100],
+      ['H', 170, 100],
+      ['Al', 400, 100],
+      ['Cl', 470, 100],
+      ['Na', 700, 100],
+      ['Na', 770, 100],
+    ],
+    [[0, 1], [2, 3], [4, 5]]
+  );
+  settle(sim);
+  assert.equal(sim.bonds.length, 0);
+  assert.equal(sim.transfers.length, 0);
+});
+
+test('electron transfers survive saving and reloading a scene', () => {
+  const { sim } = buildLayout(
+    [
+      ['Mg', 100, 100],
+      ['O', 170, 100],
+    ],
+    []
+  );
+  settle(sim);
+  assert.equal(sim.transfers.length, 2);
+  const copy = createSimulation();
+  assert.ok(loadScene(copy, JSON.parse(JSON.stringify(serializeScene(sim)))));
+  settle(copy);
+  assert.deepEqual([...ionCharges(copy).values()], [2, -2]);
+});
+
+// Put an H+ `reach` px from `atom`, out along its free lone pairs.
+function addProtonToward(sim, atom, reach) {
+  const free = atom.electrons.filter((e) => e.lonePair != null && e.bondedTo === null);
+  const x = free.reduce((sum, e) => sum + Math.cos(e.baseAngle + e.angleOffset), 0);
+  const y = free.reduce((sum, e) => sum + Math.sin(e.baseAngle + e.angleOffset), 0);
+  const angle = Math.atan2(y, x);
+  return spawnAtomFromElement(sim, findElement('H+'), atom.x + Math.cos(angle) * reach, atom.y + Math.sin(angle) * reach);
+}
+
+test('an H+ takes a lone pair of ammonia as a dative bond', () => {
+  const { sim, placed } = buildLayout(
+    [['N', 200, 200], ['H', 266, 200], ['H', 200, 266], ['H', 134, 200]],
+    [[0, 1], [0, 2], [0, 3]]
+  );
+  settle(sim);
+  const proton = addProtonToward(sim, placed[0], 70);
+  settle(sim);
+  const dative = sim.bonds.filter((b) => b.dative);
+  assert.deepEqual(dative.map((b) => [b.aId, b.bId]), [[placed[0].id, proton.id]]);
+  // Both electrons are nitrogen's lone pair.
+  assert.ok([dative[0].eAId, dative[0].eBId].every((id) => electronById(sim, id).lonePair === 0));
+  assert.equal(formalCharges(sim).get(placed[0].id), 1);
+  assert.equal(formalCharges(sim).get(proton.id), 0);
+  const [ammonium] = findMolecules(sim);
+  assert.deepEqual([ammonium.name, ammonium.charge], ['Ammonium', 1]);
+  assert.ok(checkOctets(sim).every((s) => s.complete));
+
+  const copy = createSimulation();
+  assert.ok(loadScene(copy, JSON.parse(JSON.stringify(serializeScene(sim)))));
+  settle(copy);
+  assert.equal(copy.bonds.filter((b) => b.dative).length, 1);
+
+  // Pulled away, the proton leaves the lone pair behind.
+  proton.x += (proton.x - placed[0].x) * 0.8;
+  proton.y += (proton.y - placed[0].y) * 0.8;
+  settle(sim);
+  assert.equal(sim.bonds.length, 3);
+  assert.equal(formalCharges(sim).get(proton.id), 1);
+});
+
+test('hydronium forms, but takes no second proton', () => {
+  const { sim, placed } = buildLayout([['O', 200, 200], ['H', 266, 200], ['H', 200, 266]], [[0, 1], [0, 2]]);
+  settle(sim);
+  addProtonToward(sim, placed[0], 70);
+  settle(sim);
+  assert.equal(findMolecules(sim)[0].name, 'Hydronium');
+  addProtonToward(sim, placed[0], 70);
+  settle(sim);
+  assert.equal(sim.bonds.filter((b) => b.dative).length, 1);
+});
+
+test('a chloride ion takes back the pair it lent once its metal leaves', () => {
+  const { sim, placed } = buildLayout([['Li', 100, 100], ['Cl', 170, 100]], []);
+  settle(sim);
+  assert.equal(sim.transfers.length, 1);
+  const proton = addProtonToward(sim, placed[1], 70);
+  settle(sim);
+  assert.equal(sim.bonds.filter((b) => b.dative).length, 1);
+
+  const events = [];
+  onBondChange(sim, (event) => events.push(event));
+  placed[0].x = -200;
+  settle(sim);
+  assert.equal(sim.transfers.length, 0);
+  assert.equal(sim.bonds.length, 0);
+  assert.deepEqual(
+    events.map((e) => [e.type, e.b]),
+    [
+      ['returned', placed[1]],
+      ['broken', proton],
+    ]
+  );
+  assert.equal(formalCharges(sim).get(placed[1].id), 0);
+});
+
+test('carbon monoxide gets a dative third pair that a second oxygen displaces', () => {
+  const { sim, placed } = buildLayout([['C', 166, 100], ['O', 232, 100]], [[0, 1]]);
+  settle(sim);
+  assert.deepEqual(bondOrders(sim), { '1C-2O': 2, '2O-1C': 1 });
+  assert.deepEqual([...formalCharges(sim).values()], [-1, 1]);
+  const [monoxide] = findMolecules(sim);
+  assert.deepEqual([monoxide.name, monoxide.charge], ['Carbon monoxide', 0]);
+  assert.ok(checkOctets(sim).every((s) => s.complete));
+
+  const second = spawnAtomFromElement(sim, findElement('O'), 100, 100);
+  for (let i = 0; i < 60; i++) {
+    orientElectronsTowardNeighbors(sim, second.id);
+    settle(sim, 1);
+  }
+  assert.deepEqual(bondOrders(sim), { '1C-2O': 2, '1C-3O': 2 });
+  assert.deepEqual([...formalCharges(sim).values()], [0, 0, 0]);
+  assert.equal(findMolecules(sim)[0].name, 'Carbon dioxide');
+  assert.ok(placed.every((a) => a.electrons.every((e) => e.lonePair == null || e.bondedTo === null)));
+});
+
+test('a metal gives no electron to the filled carbon of carbon monoxide', () => {
+  const { sim, placed } = buildLayout([['C', 166, 100], ['O', 232, 100]], [[0, 1]]);
+  settle(sim);
+  spawnAtomFromElement(sim, findElement('K'), 100, 100);
+  settle(sim);
+  assert.equal(sim.transfers.length, 0);
+  assert.deepEqual([...formalCharges(sim).values()], [-1, 1, 0]);
+  assert.equal(findMolecules(sim)[0].name, 'Carbon monoxide');
+  assert.equal(valenceShellCount(sim, placed[0]), 8);
+});
+
+test('eased reorientation moves electrons part of the way without letting a pair fall apart', () => {
+  const { sim, placed } = buildLayout([['H', 100, 100], ['H', 166, 100]], [[0, 1]]);
+  settle(sim);
+  const [e] = placed[0].electrons;
+  // Swing the molecule round by a quarter turn, as a rotation drag does.
+  placed[1].x = 100;
+  placed[1].y = 166;
+  reorientBondElectrons(sim, 0.25);
+  const target = Math.PI / 2 - e.baseAngle;
+  assert.ok(Math.abs(normalizeAngle(target - e.angleOffset) - 0.35) < 1e-9);
+  updateBonds(sim);
+  assert.equal(sim.bonds.length, 1);
+  for (let i = 0; i < 40; i++) reorientBondElectrons(sim, 0.25);
+  assert.ok(Math.abs(normalizeAngle(target - e.angleOffset)) < 1e-9);
+});